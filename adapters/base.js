@@ -1,10 +1,45 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { renderMarkdown, balanceFences } from './markdown.js'
+
+const WORKSPACE = process.env.SECURE_OPENCLAW_WORKSPACE || path.join(os.homedir(), 'secure-openclaw')
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime'
+}
+
 /**
  * Base adapter interface for messaging platforms
  */
 export default class BaseAdapter {
   constructor(config) {
     this.config = config
+    this.platform = null // name the gateway registered this instance under, e.g. telegram or telegram:work
     this.messageCallback = null
+    this.connectionStateCallback = null
+    this.connectionState = null
   }
 
   /**
@@ -30,6 +65,171 @@ export default class BaseAdapter {
     throw new Error('sendMessage() must be implemented by subclass')
   }
 
+  /**
+   * What the platform can do, so the gateway and tools don't have to special-case adapters
+   * - maxLength: longest message the platform accepts (null: no practical limit)
+   * - markdown: dialect replies are rendered in (see renderMarkdown in markdown.js)
+   * - edits, reactions, files, buttons: whether messages can be edited, reacted to, carry files or show choice buttons
+   * Subclasses override the fields that differ.
+   * @returns {Object}
+   */
+  get capabilities() {
+    return {
+      maxLength: null,
+      markdown: 'plain',
+      edits: false,
+      reactions: false,
+      files: false,
+      buttons: false
+    }
+  }
+
+  /**
+   * Whether the adapter has a live client, socket or process. Adapters that track this differently override it.
+   * @returns {boolean}
+   */
+  get connected() {
+    return !!(this.sock || this.bot || this.process || this.client || this.transport || this.wss || this.started)
+  }
+
+  /**
+   * Split markdown into pieces that each still fit maxLength once rendered,
+   * closing and reopening code blocks at the cuts
+   * @param {string} text - Markdown from the agent
+   * @returns {string[]} Markdown chunks (render each with renderMarkdown)
+   */
+  splitMarkdown(text) {
+    const { maxLength, markdown } = this.capabilities
+    if (!maxLength) return [text]
+
+    // Leave room for the fences balanceFences may add; if escaping makes a chunk too long, split again with a tighter limit
+    let limit = maxLength - 32
+    while (true) {
+      const chunks = balanceFences(this.splitMessage(text, limit))
+      const longest = Math.max(...chunks.map(chunk => renderMarkdown(chunk, markdown).length))
+      if (longest <= maxLength || limit <= 256) return chunks
+      limit = Math.max(256, Math.floor(limit * maxLength / longest) - 32)
+    }
+  }
+
+  /**
+   * Render markdown in the platform's dialect, split to fit its length limit
+   * @param {string} text - Markdown from the agent
+   * @returns {string[]} Messages ready to send
+   */
+  formatMessage(text) {
+    const { markdown } = this.capabilities
+    return this.splitMarkdown(text).map(chunk => renderMarkdown(chunk, markdown))
+  }
+
+  /**
+   * Send a file from disk. Platforms that show images inline should do so for image files.
+   * @param {string} chatId - The chat identifier
+   * @param {string} filepath - Absolute path of the file
+   * @param {string} [caption] - Text to send with the file
+   */
+  async sendFile(chatId, filepath, caption = '') {
+    throw new Error('Sending files is not supported on this platform')
+  }
+
+  /**
+   * Send an image held in memory
+   * @param {string} chatId - The chat identifier
+   * @param {Object} image - { data: base64, mediaType }
+   * @param {string} [caption] - Text to send with the image
+   */
+  async sendImage(chatId, image, caption = '') {
+    throw new Error('Sending images is not supported on this platform')
+  }
+
+  /**
+   * Guess a file's MIME type from its extension
+   * @param {string} filepath - File name or path
+   * @returns {string}
+   */
+  mimeTypeFor(filepath) {
+    return MIME_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream'
+  }
+
+  /**
+   * Split text into chunks no longer than maxLength, preferring line and word breaks
+   * @param {string} text - The text to split
+   * @param {number} maxLength - Maximum characters per chunk
+   * @returns {string[]}
+   */
+  splitMessage(text, maxLength) {
+    const chunks = []
+    let remaining = text
+    while (remaining.length > 0) {
+      if (remaining.length <= maxLength) {
+        chunks.push(remaining)
+        break
+      }
+      // Find a good break point
+      let breakPoint = remaining.lastIndexOf('\n', maxLength)
+      if (breakPoint === -1 || breakPoint < maxLength / 2) {
+        breakPoint = remaining.lastIndexOf(' ', maxLength)
+      }
+      if (breakPoint === -1 || breakPoint < maxLength / 2) {
+        breakPoint = maxLength
+      }
+      chunks.push(remaining.substring(0, breakPoint))
+      remaining = remaining.substring(breakPoint).trim()
+    }
+    return chunks
+  }
+
+  /**
+   * Save a received file into the agent workspace (inbox/<platform>/<chatId>/) so the agent can open it
+   * @param {string} platform - Adapter name (this.platform, e.g. telegram:work), used as the folder name (telegram_work)
+   * @param {string} chatId - The chat the file came from
+   * @param {string} filename - Original file name (sanitized; prefixed with a timestamp)
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Absolute path of the saved file
+   */
+  saveIncomingFile(platform, chatId, filename, buffer) {
+    const safe = (s) => String(s).replace(/[^\w.@+-]/g, '_').replace(/^\.+/, '')
+    const dir = path.join(WORKSPACE, 'inbox', safe(platform), safe(chatId))
+    fs.mkdirSync(dir, { recursive: true })
+    const filepath = path.join(dir, `${Date.now()}-${safe(path.basename(filename)) || 'file'}`)
+    fs.writeFileSync(filepath, buffer)
+    return filepath
+  }
+
+  /**
+   * HTTP routes this adapter serves on the gateway's HTTP server.
+   * Override to return { '/path': { request(req, res), upgrade(req, socket, head) } };
+   * a route matches its exact path and anything below it.
+   * @returns {Object}
+   */
+  getHttpRoutes() {
+    return {}
+  }
+
+  /**
+   * Read a request body for an HTTP route, rejecting it if it grows past limit bytes
+   * @param {http.IncomingMessage} req
+   * @param {number} limit - Maximum body size in bytes
+   * @returns {Promise<string>}
+   */
+  readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      let size = 0
+      req.on('data', (chunk) => {
+        size += chunk.length
+        if (size > limit) {
+          reject(new Error('Payload too large'))
+          req.destroy()
+          return
+        }
+        chunks.push(chunk)
+      })
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')))
+      req.on('error', reject)
+    })
+  }
+
   /**
    * Register a callback for incoming messages
    * @param {Function} callback - Called with (message) object containing:
@@ -38,18 +238,50 @@ export default class BaseAdapter {
    *   - isGroup: boolean
    *   - sender: string
    *   - mentions: string[]
+   *   - image: { data, mediaType } | null (first image, base64)
+   *   - images: [{ data, mediaType }] (optional, when several images arrived together)
    *   - raw: any (platform-specific data)
    */
   onMessage(callback) {
     this.messageCallback = callback
   }
 
+  /**
+   * Register callback for connection state changes (adapters that supervise their own connection report these)
+   * @param {Function} callback - Called with (state, details), e.g. ('reconnecting', { attempt, delayMs })
+   */
+  onConnectionState(callback) {
+    this.connectionStateCallback = callback
+  }
+
+  /**
+   * Record the connection state and report it to the registered callback
+   */
+  emitConnectionState(state, details = {}) {
+    this.connectionState = state
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback(state, details)
+    }
+  }
+
   /**
    * Emit a message to the registered callback
+   * Adapters that know which message is being replied to set message.replyTo to { text, sender, fromBot };
+   * it's normalized here (long quotes are cut short) so the agent always sees the same shape.
+   * @returns {Promise|undefined} Settles once the gateway has finished handling the message
    */
   emitMessage(message) {
+    const replyTo = message.replyTo
+    message.replyTo = replyTo?.text
+      ? {
+          text: replyTo.text.length > 500 ? replyTo.text.slice(0, 500) + '…' : replyTo.text,
+          sender: replyTo.sender || null,
+          fromBot: !!replyTo.fromBot
+        }
+      : null
+
     if (this.messageCallback) {
-      this.messageCallback(message)
+      return this.messageCallback(message)
     }
   }
 
@@ -0,0 +1,180 @@
+import { Client, Events, GatewayIntentBits, Partials } from 'discord.js'
+import BaseAdapter from './base.js'
+
+/**
+ * Discord adapter using discord.js
+ * Supports DMs, guild channels and threads with text and image messages
+ */
+export default class DiscordAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.client = null
+    this.botUser = null
+  }
+
+  async start() {
+    if (!this.config.token) {
+      throw new Error('Discord bot token is required. Create one at https://discord.com/developers/applications')
+    }
+
+    this.client = new Client({
+      intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.DirectMessages,
+        GatewayIntentBits.MessageContent
+      ],
+      // DM channels are not cached, so they arrive as partials
+      partials: [Partials.Channel],
+      // Point REST (and the gateway URL it hands out) at a local stand-in for testing
+      ...(this.config.apiUrl ? { rest: { api: this.config.apiUrl } } : {})
+    })
+
+    this.client.on(Events.MessageCreate, async (msg) => {
+      await this.handleMessage(msg)
+    })
+
+    this.client.on(Events.Error, (err) => {
+      console.error('[Discord] Client error:', err.message)
+    })
+
+    const ready = new Promise((resolve) => this.client.once(Events.ClientReady, resolve))
+    await this.client.login(this.config.token)
+    await ready
+
+    this.botUser = this.client.user
+    console.log(`[Discord] Connected as ${this.botUser.tag}`)
+    console.log('[Discord] Adapter started')
+  }
+
+  async stop() {
+    if (this.client) {
+      await this.client.destroy()
+      this.client = null
+    }
+    console.log('[Discord] Adapter stopped')
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, maxLength: 2000, markdown: 'markdown' }
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.client) {
+      throw new Error('Discord not connected')
+    }
+
+    const channel = await this.client.channels.fetch(chatId)
+
+    // Discord has a 2000 character limit per message
+    for (const chunk of this.formatMessage(text)) {
+      await channel.send(chunk)
+    }
+  }
+
+  async sendTyping(chatId) {
+    if (!this.client) return
+    try {
+      const channel = await this.client.channels.fetch(chatId)
+      await channel.sendTyping()
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async react(chatId, messageId, emoji) {
+    if (!this.client) return
+    try {
+      const channel = await this.client.channels.fetch(chatId)
+      const msg = await channel.messages.fetch(messageId)
+      await msg.react(emoji)
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  /**
+   * DMs are allowlisted by user ID (DM channel IDs are not user-visible).
+   * Group messages may also be allowlisted by parent channel (for threads) or server ID.
+   */
+  shouldRespond(message, config) {
+    if (!message.isGroup) {
+      return super.shouldRespond({ ...message, chatId: message.sender }, config)
+    }
+
+    if (!config.allowedGroups.includes('*')) {
+      const scopeId = [message.parentId, message.guildId].find(id => id && config.allowedGroups.includes(id))
+      if (scopeId) {
+        return super.shouldRespond({ ...message, chatId: scopeId }, config)
+      }
+    }
+
+    return super.shouldRespond(message, config)
+  }
+
+  /**
+   * Download the first image attachment, if any
+   */
+  async downloadImage(msg) {
+    const attachment = msg.attachments.find(a => a.contentType?.startsWith('image/'))
+    if (!attachment) return null
+
+    try {
+      const response = await fetch(attachment.url)
+      const buffer = Buffer.from(await response.arrayBuffer())
+      console.log('[Discord] Image downloaded, size:', buffer.length)
+      return {
+        data: buffer.toString('base64'),
+        mediaType: attachment.contentType.split(';')[0]
+      }
+    } catch (err) {
+      console.error('[Discord] Failed to download image:', err.message)
+      return null
+    }
+  }
+
+  async handleMessage(msg) {
+    // Skip our own and other bots' messages
+    if (msg.author.bot) return
+
+    const channel = msg.channel
+    const chatId = msg.channelId
+    const isGroup = !channel.isDMBased()
+    const sender = msg.author.id
+
+    // Mentions of the bot user (role and @everyone mentions don't count)
+    const botMentioned = msg.mentions.users.has(this.botUser.id)
+
+    // Remove bot mention from text (<@id> or legacy <@!id>)
+    let text = msg.content || ''
+    if (botMentioned) {
+      text = text.replace(new RegExp(`<@!?${this.botUser.id}>`, 'g'), '').trim()
+    }
+
+    const message = {
+      chatId,
+      text,
+      isGroup,
+      sender,
+      mentions: botMentioned ? ['self'] : [],
+      image: null,
+      parentId: channel.isThread() ? channel.parentId : null,
+      guildId: msg.guildId,
+      raw: msg
+    }
+
+    // Check allowlists before downloading anything
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    message.image = await this.downloadImage(msg)
+    if (message.image && !message.text) {
+      message.text = '[Image]'
+    }
+
+    if (!message.text && !message.image) return
+
+    this.emitMessage(message)
+  }
+}
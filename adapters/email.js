@@ -0,0 +1,340 @@
+import { ImapFlow } from 'imapflow'
+import nodemailer from 'nodemailer'
+import { simpleParser } from 'mailparser'
+import fs from 'fs'
+import path from 'path'
+import BaseAdapter from './base.js'
+
+/**
+ * Email adapter: polls an IMAP mailbox (or a local Maildir for testing) and replies over SMTP
+ * Each email thread is one chat — the chat ID is the Message-ID of the thread's first message.
+ * Sending to a plain address (user@example.com) starts a new thread.
+ */
+export default class EmailAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.imap = null
+    this.transport = null
+    this.pollTimer = null
+    this.polling = false
+    // threadId -> { to, subject, references: [] }
+    this.threads = new Map()
+    this.allowedSenders = (config.allowedDMs || []).map(a => a.toLowerCase())
+  }
+
+  async start() {
+    if (!this.config.address) {
+      throw new Error('Email address for the assistant is required')
+    }
+    if (!this.config.maildir && !this.config.imap?.host) {
+      throw new Error('Either an IMAP host or a local Maildir path is required')
+    }
+    if (this.config.verifySender !== false && !this.config.authservId) {
+      throw new Error('Set authservId to the name your mail server uses in Authentication-Results (or verifySender: false)')
+    }
+
+    if (this.config.smtp?.host) {
+      this.transport = nodemailer.createTransport({
+        host: this.config.smtp.host,
+        port: this.config.smtp.port,
+        secure: this.config.smtp.secure,
+        auth: { user: this.config.smtp.user, pass: this.config.smtp.password }
+      })
+      await this.transport.verify()
+    } else if (this.config.maildir) {
+      // Local testing: write replies as .eml files instead of sending them
+      this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true })
+    } else {
+      throw new Error('SMTP host is required to send replies')
+    }
+
+    if (this.config.maildir) {
+      console.log(`[Email] Polling Maildir ${this.config.maildir}`)
+    } else {
+      await this.connectImap()
+      console.log(`[Email] Connected to ${this.config.imap.host} as ${this.config.imap.user}`)
+    }
+
+    const intervalMs = (this.config.pollInterval || 30) * 1000
+    this.pollTimer = setInterval(() => this.poll(), intervalMs)
+    await this.poll()
+
+    console.log('[Email] Adapter started')
+  }
+
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+    }
+    if (this.imap) {
+      try {
+        await this.imap.logout()
+      } catch (err) {
+        // Ignore
+      }
+      this.imap = null
+    }
+    if (this.transport) {
+      this.transport.close()
+      this.transport = null
+    }
+    console.log('[Email] Adapter stopped')
+  }
+
+  /**
+   * Open a fresh IMAP connection (ImapFlow clients can't be reused after closing)
+   */
+  async connectImap() {
+    this.imap = new ImapFlow({
+      host: this.config.imap.host,
+      port: this.config.imap.port,
+      secure: this.config.imap.secure,
+      auth: { user: this.config.imap.user, pass: this.config.imap.password },
+      logger: false
+    })
+    this.imap.on('error', (err) => {
+      console.error('[Email] IMAP error:', err.message)
+    })
+    await this.imap.connect()
+  }
+
+  /**
+   * Fetch and handle new mail, skipping the tick if the previous poll is still running
+   */
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+    try {
+      const sources = this.config.maildir ? this.readMaildir() : await this.fetchImap()
+      for (const source of sources) {
+        await this.handleMessage(source)
+      }
+    } catch (err) {
+      console.error('[Email] Poll failed:', err.message)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * Fetch unseen messages from INBOX and mark them as seen
+   */
+  async fetchImap() {
+    if (!this.imap?.usable) {
+      console.log('[Email] Reconnecting to IMAP...')
+      await this.connectImap()
+    }
+
+    const sources = []
+    const lock = await this.imap.getMailboxLock(this.config.imap.mailbox || 'INBOX')
+    try {
+      const uids = []
+      for await (const msg of this.imap.fetch({ seen: false }, { uid: true, source: true })) {
+        uids.push(msg.uid)
+        sources.push(msg.source)
+      }
+      if (uids.length) {
+        await this.imap.messageFlagsAdd(uids, ['\\Seen'], { uid: true })
+      }
+    } finally {
+      lock.release()
+    }
+    return sources
+  }
+
+  /**
+   * Read messages from Maildir new/ and move them to cur/ as seen
+   */
+  readMaildir() {
+    const newDir = path.join(this.config.maildir, 'new')
+    const curDir = path.join(this.config.maildir, 'cur')
+    if (!fs.existsSync(newDir)) return []
+    fs.mkdirSync(curDir, { recursive: true })
+
+    const sources = []
+    for (const file of fs.readdirSync(newDir).sort()) {
+      const filepath = path.join(newDir, file)
+      sources.push(fs.readFileSync(filepath))
+      fs.renameSync(filepath, path.join(curDir, `${file}:2,S`))
+    }
+    return sources
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.transport) {
+      throw new Error('Email not connected')
+    }
+
+    let thread = this.threads.get(chatId)
+    if (!thread) {
+      // A bare address starts a new thread
+      if (chatId.startsWith('<') || !chatId.includes('@')) {
+        throw new Error(`Unknown email thread: ${chatId}`)
+      }
+      thread = { to: chatId, subject: this.config.subject || 'Message from your assistant', references: [] }
+    }
+
+    const lastMessageId = thread.references[thread.references.length - 1]
+    const mail = {
+      from: this.config.address,
+      to: thread.to,
+      subject: thread.references.length && !/^re:/i.test(thread.subject) ? `Re: ${thread.subject}` : thread.subject,
+      text: this.formatMessage(text)[0],
+      ...(lastMessageId ? { inReplyTo: lastMessageId, references: thread.references.join(' ') } : {})
+    }
+
+    const info = await this.transport.sendMail(mail)
+
+    if (this.config.maildir && !this.config.smtp?.host) {
+      const sentDir = path.join(this.config.maildir, 'sent')
+      fs.mkdirSync(sentDir, { recursive: true })
+      fs.writeFileSync(path.join(sentDir, `${Date.now()}.eml`), info.message)
+    }
+
+    // Our reply becomes part of the thread so follow-ups reference it
+    const threadId = thread.references[0] || info.messageId
+    thread.references = [...thread.references, info.messageId]
+    this.threads.set(threadId, thread)
+  }
+
+  /**
+   * Senders are allowlisted by address; email has no groups
+   */
+  shouldRespond(message, config) {
+    return super.shouldRespond({ ...message, chatId: message.sender }, { ...config, allowedDMs: this.allowedSenders })
+  }
+
+  /**
+   * One session per thread, keyed by the thread's root Message-ID
+   */
+  generateSessionKey(agentId, platform, message) {
+    const threadId = message.chatId.replace(/^<|>$/g, '')
+    return `agent:${agentId}:${platform}:thread:${threadId}`
+  }
+
+  /**
+   * Check that our own mail server vouches for the From domain, since the From header alone is trivially spoofed.
+   * Only the topmost Authentication-Results header is read, and only if it carries the configured authserv-id
+   * (senders can add headers of their own further down). It must show dmarc=pass, or a dkim=pass
+   * signed by the From domain (a signature from the sender's own domain proves nothing).
+   */
+  isAuthenticated(parsed) {
+    const fromDomain = parsed.from?.value?.[0]?.address?.toLowerCase().split('@')[1]
+    const header = [].concat(parsed.headers.get('authentication-results') || [])[0]
+    if (!fromDomain || !header) return false
+
+    // authserv-id; resinfo; resinfo ... with (comments) removed
+    const [authservId, ...results] = String(header).replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').split(';')
+    if (authservId.trim().split(' ')[0].toLowerCase() !== this.config.authservId.toLowerCase()) return false
+
+    // Same domain, or the From domain is a subdomain of it (relaxed alignment)
+    const aligned = (domain) => !!domain && (fromDomain === domain || fromDomain.endsWith(`.${domain}`))
+    const property = (result, name) => result.match(new RegExp(`\\b${name.replace('.', '\\.')}=([^\\s;]+)`, 'i'))?.[1]
+      .replace(/^"|"$/g, '').toLowerCase()
+
+    return results.some((result) => {
+      const method = result.trim().match(/^(dmarc|dkim)\s*=\s*(\w+)/i)
+      if (!method || method[2].toLowerCase() !== 'pass') return false
+      if (method[1].toLowerCase() === 'dmarc') {
+        const from = property(result, 'header.from')
+        return !from || aligned(from)
+      }
+      return aligned(property(result, 'header.d') || property(result, 'header.i')?.split('@').pop())
+    })
+  }
+
+  /**
+   * Drop the quoted history from a reply ("On ... wrote:" and "> " lines)
+   */
+  stripQuotedReply(text) {
+    const lines = text.split('\n')
+    const kept = []
+    for (const line of lines) {
+      if (/^On .+wrote:\s*$/.test(line.trim()) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim())) break
+      if (line.startsWith('>')) continue
+      kept.push(line)
+    }
+    return kept.join('\n').trim()
+  }
+
+  /**
+   * Pick the first inline image, falling back to any image attachment
+   */
+  extractImage(attachments) {
+    const images = attachments.filter(a => a.contentType?.startsWith('image/'))
+    const image = images.find(a => a.contentDisposition === 'inline' || a.cid) || images[0]
+    if (!image) return null
+    return {
+      data: image.content.toString('base64'),
+      mediaType: image.contentType
+    }
+  }
+
+  async handleMessage(source) {
+    let parsed
+    try {
+      parsed = await simpleParser(source)
+    } catch (err) {
+      console.error('[Email] Failed to parse message:', err.message)
+      return
+    }
+
+    const sender = parsed.from?.value?.[0]?.address?.toLowerCase()
+    if (!sender || !parsed.messageId) return
+
+    // Skip our own mail, and auto-replies / bulk mail to avoid reply loops
+    if (sender === this.config.address.toLowerCase()) return
+    const autoSubmitted = parsed.headers.get('auto-submitted')
+    if (autoSubmitted && autoSubmitted !== 'no') return
+    if (/^(bulk|list|junk)$/i.test(parsed.headers.get('precedence') || '')) return
+
+    if (this.config.verifySender !== false && !this.isAuthenticated(parsed)) {
+      console.log(`[Security] Blocked email from ${sender} (no DMARC pass or aligned DKIM pass from ${this.config.authservId})`)
+      return
+    }
+
+    // Thread root: first entry of References, else In-Reply-To, else this message
+    const references = [].concat(parsed.references || [])
+    const threadId = references[0] || parsed.inReplyTo || parsed.messageId
+    const isReply = threadId !== parsed.messageId
+
+    let text = this.stripQuotedReply(parsed.text || '')
+    if (!isReply && parsed.subject) {
+      text = `Subject: ${parsed.subject}\n\n${text}`.trim()
+    }
+
+    const message = {
+      chatId: threadId,
+      text,
+      isGroup: false,
+      sender,
+      mentions: [],
+      image: null,
+      raw: parsed
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    message.image = this.extractImage(parsed.attachments || [])
+    if (message.image) {
+      console.log('[Email] Image attached, size:', message.image.data.length)
+      if (!message.text) {
+        message.text = '[Image]'
+      }
+    }
+
+    if (!message.text && !message.image) return
+
+    // Reply to the (allowlisted) sender — never Reply-To — threaded under this message
+    this.threads.set(threadId, {
+      to: sender,
+      subject: parsed.subject || '',
+      references: [...new Set([...references, parsed.messageId])]
+    })
+
+    this.emitMessage(message)
+  }
+}
@@ -1,10 +1,15 @@
 import { spawn, execFile } from 'child_process'
+import { promisify } from 'util'
+import fs from 'fs'
 import path from 'path'
 import os from 'os'
 import BaseAdapter from './base.js'
 
 // Path to imsg binary
 const IMSG_PATH = process.env.IMSG_PATH || path.join(os.homedir(), 'bin', 'imsg')
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024 // larger images are saved as files instead
+
+const execFileAsync = promisify(execFile)
 
 /**
  * iMessage adapter using imsg CLI
@@ -19,9 +24,13 @@ export default class iMessageAdapter extends BaseAdapter {
   }
 
   async start() {
+    if (this.config.respondToMentionsOnly && !this.config.mentionKeywords?.length) {
+      console.log('[iMessage] No mentionKeywords configured; group messages will be ignored')
+    }
+
     return new Promise((resolve, reject) => {
       // Spawn imsg watch with JSON output
-      this.watchProcess = spawn(IMSG_PATH, ['watch', '--json'], {
+      this.watchProcess = spawn(IMSG_PATH, ['watch', '--json', '--attachments'], {
         stdio: ['ignore', 'pipe', 'pipe']
       })
 
@@ -79,14 +88,88 @@ export default class iMessageAdapter extends BaseAdapter {
     for (const line of lines) {
       if (!line.trim()) continue
 
+      let json
       try {
-        const json = JSON.parse(line)
-        this.handleMessage(json)
+        json = JSON.parse(line)
       } catch (err) {
         // Might be a log line, not JSON
         if (!line.startsWith('[') && !line.includes('watching')) {
           console.log('[iMessage] Non-JSON output:', line)
         }
+        continue
+      }
+
+      this.handleMessage(json).catch((err) => {
+        console.error('[iMessage] Failed to handle message:', err.message)
+      })
+    }
+  }
+
+  /**
+   * Mention keywords as one regex: each keyword as a whole word, optionally with a leading @
+   */
+  mentionPattern() {
+    const keywords = (this.config.mentionKeywords || [])
+      .map(k => k.replace(/^@/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    if (!keywords.length) return null
+    return new RegExp(`(^|[^\\w@])@?(${keywords.join('|')})(?!\\w)`, 'i')
+  }
+
+  /**
+   * Remove a keyword the message starts with ("openclaw, what's the weather?")
+   */
+  stripMention(text) {
+    const pattern = this.mentionPattern()
+    if (!pattern) return text
+    const match = text.match(pattern)
+    if (!match || match.index !== 0) return text
+    return text.slice(match[0].length).replace(/^[\s:,]+/, '').trim()
+  }
+
+  /**
+   * Load a message's attachments: images are passed to the agent (HEIC photos converted to JPEG
+   * with sips), other files are copied to the workspace and described in notes
+   */
+  async collectAttachments(attachments, chatId, images, notes) {
+    for (const attachment of attachments) {
+      const name = attachment.transfer_name || path.basename(attachment.filename || attachment.original_path || 'attachment')
+      const source = (attachment.original_path || attachment.filename || '').replace(/^~(?=\/)/, os.homedir())
+
+      if (attachment.missing || !source || !fs.existsSync(source)) {
+        // Not downloaded from iCloud yet
+        notes.push(`[Attachment "${name}" is not available on this Mac]`)
+        continue
+      }
+
+      try {
+        const mimeType = attachment.mime_type || this.mimeTypeFor(source)
+
+        if (/^image\/(heic|heif)$/.test(mimeType)) {
+          const converted = path.join(os.tmpdir(), `openclaw-${Date.now()}-${attachment.rowid || 0}.jpg`)
+          try {
+            await execFileAsync('sips', ['-s', 'format', 'jpeg', source, '--out', converted])
+            const buffer = fs.readFileSync(converted)
+            if (buffer.length <= MAX_IMAGE_BYTES) {
+              images.push({ data: buffer.toString('base64'), mediaType: 'image/jpeg' })
+              continue
+            }
+          } finally {
+            fs.rmSync(converted, { force: true })
+          }
+        }
+
+        const buffer = fs.readFileSync(source)
+        if (/^image\/(png|jpeg|gif|webp)$/.test(mimeType) && buffer.length <= MAX_IMAGE_BYTES) {
+          images.push({ data: buffer.toString('base64'), mediaType: mimeType })
+          continue
+        }
+
+        const filepath = this.saveIncomingFile(this.platform, chatId, name, buffer)
+        console.log(`[iMessage] File saved to ${filepath}`)
+        notes.push(`[File saved to ${filepath} (${mimeType}, ${Math.ceil(buffer.length / 1024)} KB)]`)
+      } catch (err) {
+        console.error('[iMessage] Failed to load attachment:', err.message)
+        notes.push(`[Attachment "${name}" could not be loaded: ${err.message}]`)
       }
     }
   }
@@ -94,7 +177,7 @@ export default class iMessageAdapter extends BaseAdapter {
   /**
    * Handle a parsed message from imsg watch
    */
-  handleMessage(msg) {
+  async handleMessage(msg) {
     // imsg watch outputs messages with these fields:
     // rowid, guid, chat_id, chat_identifier, handle_id, sender, text, date, is_from_me, attachments, etc.
 
@@ -103,26 +186,30 @@ export default class iMessageAdapter extends BaseAdapter {
 
     // Extract message details
     const chatId = msg.chat_id?.toString() || msg.chat_identifier
-    const text = msg.text
+    // Attachment-only messages carry an object replacement character as their text
+    let text = (msg.text || '').replace(/\uFFFC/g, '').trim()
+    const attachments = msg.attachments || []
     const sender = msg.sender || msg.handle_id
 
-    if (!chatId || !text) return
+    if (!chatId || (!text && !attachments.length)) return
 
     // Determine if group chat (chat_identifier usually contains multiple participants for groups)
-    const isGroup = msg.chat_identifier?.includes(',') || msg.participants?.length > 2
+    const isGroup = Boolean(msg.chat_identifier?.includes(',') || msg.participants?.length > 2 || msg.is_group)
 
-    // Check for mentions (simplified - look for @ patterns)
-    const mentions = []
-    if (text.includes('@')) {
-      mentions.push('potential')
+    // iMessage has no real mentions, so a configured keyword (e.g. "openclaw") counts as one
+    const pattern = this.mentionPattern()
+    const isMentioned = isGroup && !!pattern && pattern.test(text)
+    if (isMentioned) {
+      text = this.stripMention(text)
     }
 
     const message = {
       chatId,
       text,
-      isGroup: Boolean(isGroup),
+      isGroup,
       sender,
-      mentions,
+      mentions: isMentioned ? ['self'] : [],
+      image: null,
       raw: msg
     }
 
@@ -134,6 +221,24 @@ export default class iMessageAdapter extends BaseAdapter {
       return
     }
 
+    // Only read attachments once the message has passed the checks
+    const images = []
+    const notes = []
+    await this.collectAttachments(attachments, chatId, images, notes)
+
+    if (notes.length) {
+      message.text = [message.text, ...notes].filter(Boolean).join('\n')
+    }
+    if (images.length) {
+      message.image = images[0]
+      if (images.length > 1) message.images = images
+      if (!message.text) {
+        message.text = images.length > 1 ? `[${images.length} images]` : '[Image]'
+      }
+    }
+
+    if (!message.text && !message.image) return
+
     // Emit message to handler
     this.emitMessage(message)
   }
@@ -141,7 +246,7 @@ export default class iMessageAdapter extends BaseAdapter {
   async sendMessage(chatId, text) {
     return new Promise((resolve, reject) => {
       // Use imsg send command
-      const args = ['send', '--chat-id', chatId.toString(), '--text', text]
+      const args = ['send', '--chat-id', chatId.toString(), '--text', this.formatMessage(text)[0]]
 
       execFile(IMSG_PATH, args, (error, stdout, stderr) => {
         if (error) {
@@ -0,0 +1,302 @@
+import IRC from 'irc-framework'
+import BaseAdapter from './base.js'
+
+// A full line is 512 bytes including CRLF and the ":nick!user@host " prefix the server adds when relaying;
+// reserve room for the longest user@host we're likely to be given
+const MAX_LINE_BYTES = 510
+const HOSTMASK_RESERVE = 80
+
+/**
+ * IRC adapter using irc-framework
+ * Joins the channels in allowedGroups and treats private messages as DMs.
+ * Outgoing lines go through a token-bucket queue so long replies don't get us kicked for flooding.
+ */
+export default class IrcAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.client = null
+    this.sendQueue = [] // [{ target, line }]
+    this.tokens = config.floodBurst || 4
+    this.floodTimer = null
+    // DM chatId (account:<name> or <user>@<host>) -> the nick it's using now, for sending replies
+    this.dmNicks = new Map()
+  }
+
+  async start() {
+    if (!this.config.server || !this.config.nick) {
+      throw new Error('IRC server and nick are required')
+    }
+
+    this.client = new IRC.Client()
+
+    this.client.on('registered', () => {
+      console.log(`[IRC] Registered as ${this.client.user.nick}`)
+      // Nicks may have changed hands while we were away
+      this.dmNicks.clear()
+      if (!this.client.network.cap.isEnabled('account-tag') &&
+          (this.config.allowedDMs || []).some(entry => entry !== '*' && !entry.includes('!'))) {
+        console.warn('[IRC] Server lacks the account-tag capability, so account entries in allowedDMs never match; use nick!user@host masks')
+      }
+      this.joinChannels()
+    })
+
+    this.client.on('privmsg', (event) => this.handleMessage(event))
+
+    // Follow DM senders across nick changes; once they quit, their nick is free for anyone to take
+    this.client.on('nick', ({ nick, new_nick: newNick }) => this.renameDmNick(nick, newNick))
+    this.client.on('quit', ({ nick }) => this.renameDmNick(nick, null))
+
+    this.client.on('nick in use', () => {
+      this.client.changeNick(`${this.client.user.nick}_`)
+    })
+
+    this.client.on('reconnecting', ({ attempt }) => {
+      console.log(`[IRC] Reconnecting (attempt ${attempt})...`)
+    })
+
+    this.client.on('socket error', (err) => {
+      console.error('[IRC] Socket error:', err.message)
+    })
+
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Timed out connecting to IRC server')), 30000)
+      this.client.once('registered', () => {
+        clearTimeout(timeout)
+        resolve()
+      })
+      this.client.once('sasl failed', ({ reason }) => {
+        clearTimeout(timeout)
+        reject(new Error(`SASL authentication failed (${reason})`))
+      })
+      this.client.once('close', () => {
+        clearTimeout(timeout)
+        reject(new Error('Connection closed before registration'))
+      })
+
+      this.client.connect({
+        host: this.config.server,
+        port: this.config.port || (this.config.tls !== false ? 6697 : 6667),
+        tls: this.config.tls !== false,
+        rejectUnauthorized: this.config.rejectUnauthorized !== false,
+        nick: this.config.nick,
+        username: this.config.username || this.config.nick,
+        gecos: this.config.realname || 'Secure OpenClaw',
+        password: this.config.password || undefined,
+        account: this.config.sasl?.account ? { account: this.config.sasl.account, password: this.config.sasl.password } : undefined,
+        sasl_disconnect_on_fail: true,
+        auto_reconnect: true,
+        auto_reconnect_max_retries: 30,
+        auto_reconnect_max_wait: 60000
+      })
+    })
+
+    const interval = this.config.floodInterval || 1000
+    this.floodTimer = setInterval(() => this.drainQueue(true), interval)
+
+    console.log('[IRC] Adapter started')
+  }
+
+  async stop() {
+    if (this.floodTimer) {
+      clearInterval(this.floodTimer)
+      this.floodTimer = null
+    }
+    this.sendQueue = []
+    if (this.client) {
+      this.client.removeAllListeners()
+      try {
+        this.client.quit('Goodbye')
+      } catch (err) {
+        // Ignore
+      }
+      this.client = null
+    }
+    console.log('[IRC] Adapter stopped')
+  }
+
+  /**
+   * Join every channel in allowedGroups (called again after each reconnect)
+   */
+  joinChannels() {
+    for (const channel of this.config.allowedGroups || []) {
+      if (channel === '*') continue
+      this.client.join(channel)
+      console.log(`[IRC] Joining ${channel}`)
+    }
+  }
+
+  /**
+   * Point DM chats using a nick at its new name, or forget them (newNick null)
+   */
+  renameDmNick(nick, newNick) {
+    for (const [chatId, current] of this.dmNicks) {
+      if (!this.client.caseCompare(current, nick)) continue
+      if (newNick) {
+        this.dmNicks.set(chatId, newNick)
+      } else {
+        this.dmNicks.delete(chatId)
+      }
+    }
+  }
+
+  /**
+   * Who to PRIVMSG for a chat: channels by name, DMs by the nick their sender was last seen with
+   */
+  resolveTarget(chatId) {
+    if (this.client.network.isChannelName(chatId)) return chatId
+    const nick = this.dmNicks.get(chatId)
+    if (nick) return nick
+    if (chatId.startsWith('account:') || chatId.includes('@')) {
+      throw new Error(`${chatId} is not online (or hasn't written since the gateway connected)`)
+    }
+    // A plain nick, from before DMs were keyed by account
+    return chatId
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.client) {
+      throw new Error('IRC not connected')
+    }
+    const target = this.resolveTarget(chatId)
+
+    // Target plus the command and the hostmask the server prepends
+    const overhead = `PRIVMSG ${target} :`.length + this.client.user.nick.length + HOSTMASK_RESERVE
+    const maxBytes = MAX_LINE_BYTES - overhead
+
+    // IRC has no multi-line messages: send each non-empty line separately
+    for (const line of this.formatMessage(text)[0].split(/\r?\n/)) {
+      if (!line.trim()) continue
+      for (const chunk of this.splitLine(line, maxBytes)) {
+        this.sendQueue.push({ target, line: chunk })
+      }
+    }
+    this.drainQueue(false)
+  }
+
+  /**
+   * Send queued lines while tokens last; the timer adds one token per floodInterval
+   * up to floodBurst, so bursts are short and sustained output is rate-limited
+   */
+  drainQueue(refill) {
+    const burst = this.config.floodBurst || 4
+    if (refill && this.tokens < burst) this.tokens++
+
+    while (this.sendQueue.length && this.tokens > 0 && this.client) {
+      const { target, line } = this.sendQueue.shift()
+      this.client.raw('PRIVMSG', target, line)
+      this.tokens--
+    }
+  }
+
+  /**
+   * Split a line into chunks of at most maxBytes UTF-8 bytes, preferring word breaks
+   */
+  splitLine(line, maxBytes) {
+    const chunks = []
+    let remaining = line
+    while (Buffer.byteLength(remaining) > maxBytes) {
+      // Longest prefix (by whole characters) that fits
+      let fit = 0
+      let bytes = 0
+      for (const char of remaining) {
+        bytes += Buffer.byteLength(char)
+        if (bytes > maxBytes) break
+        fit += char.length
+      }
+      let breakPoint = remaining.lastIndexOf(' ', fit)
+      if (breakPoint < fit / 2) breakPoint = fit
+      chunks.push(remaining.substring(0, breakPoint))
+      remaining = remaining.substring(breakPoint).trim()
+    }
+    if (remaining) chunks.push(remaining)
+    return chunks
+  }
+
+  /**
+   * Channels are allowlisted by name (case-insensitive). DMs are allowlisted by who the sender is, not by nick,
+   * since anyone can take a nick that isn't in use: see matchesSender.
+   */
+  shouldRespond(message, config) {
+    if (message.isGroup) {
+      return super.shouldRespond(message, {
+        ...config,
+        allowedGroups: (config.allowedGroups || []).map(c => c.toLowerCase())
+      })
+    }
+
+    const allowed = config.allowedDMs || []
+    if (allowed.length === 0) {
+      console.log(`[Security] Blocked DM from ${message.sender} (no DMs allowed — set allowedDMs in .env)`)
+      return false
+    }
+    if (!allowed.includes('*') && !allowed.some(entry => this.matchesSender(entry, message.raw))) {
+      console.log(`[Security] Blocked DM from ${message.sender} (account ${message.raw.account || 'none'}, not in allowlist)`)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Match an allowedDMs entry against a message's sender:
+   * - "nick!user@host" (* and ? wildcards): the sender's full hostmask
+   * - "account:name", or a bare name: the services account they're logged in to (from the account-tag capability)
+   */
+  matchesSender(entry, event) {
+    const pattern = entry.toLowerCase()
+    if (pattern.includes('!')) {
+      const mask = `${event.nick}!${event.ident}@${event.hostname}`.toLowerCase()
+      const re = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`)
+      return re.test(mask)
+    }
+    const account = pattern.replace(/^account:/, '')
+    return !!event.account && event.account.toLowerCase() === account
+  }
+
+  /**
+   * "nick: hi", "nick, hi" or the nick anywhere as a word
+   */
+  isMentioned(text) {
+    const nick = this.client.user.nick.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return new RegExp(`(^|[^\\w\\[\\]\\\\\`^{}|-])${nick}($|[^\\w\\[\\]\\\\\`^{}|-])`, 'i').test(text)
+  }
+
+  stripMention(text) {
+    const nick = this.client.user.nick.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return text.replace(new RegExp(`^${nick}[:,]?\\s*`, 'i'), '').trim()
+  }
+
+  handleMessage(event) {
+    if (!this.client) return
+    // Skip our own echoes and server notices
+    if (!event.nick || this.client.caseCompare(event.nick, this.client.user.nick)) return
+
+    const isGroup = this.client.network.isChannelName(event.target)
+    const botMentioned = isGroup && this.isMentioned(event.message)
+    const text = botMentioned ? this.stripMention(event.message) : event.message.trim()
+
+    // A DM is keyed by who the sender is (their services account, else user@host), not by nick:
+    // nicks change, and a nick someone dropped can be taken by anyone
+    const dmChatId = event.account
+      ? `account:${event.account.toLowerCase()}`
+      : `${event.ident}@${event.hostname}`.toLowerCase()
+
+    const message = {
+      chatId: isGroup ? event.target.toLowerCase() : dmChatId,
+      text,
+      isGroup,
+      sender: event.nick,
+      mentions: botMentioned ? ['self'] : [],
+      image: null,
+      raw: event
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    if (!isGroup) this.dmNicks.set(dmChatId, event.nick)
+    if (!message.text) return
+
+    this.emitMessage(message)
+  }
+}
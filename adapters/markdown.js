@@ -0,0 +1,193 @@
+/**
+ * Render the agent's markdown in each platform's formatting dialect
+ * - plain: markers dropped, links as "text (url)"
+ * - markdown: unchanged (Discord, web chat and webhook callers render it themselves)
+ * - whatsapp: *bold* _italic_ ~strike~ `code` and ``` blocks (XMPP message styling uses the same)
+ * - slack: mrkdwn, like whatsapp but with <url|text> links
+ * - html: the tags Telegram and Matrix both accept (b, i, s, code, pre, a, blockquote)
+ * - markdownv2: Telegram MarkdownV2, with every other special character escaped
+ * Headings become bold lines and bullets become "•". Unclosed markers are left as they are,
+ * so partial text (while streaming) renders safely.
+ */
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escapeV2 = (s) => s.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&')
+
+const plainLink = (label, url) => label === url ? url : `${label} (${url})`
+const prefixLines = (s, prefix) => s.split('\n').map(line => prefix + line).join('\n')
+
+const DIALECTS = {
+  plain: {
+    text: s => s,
+    bold: s => s,
+    italic: s => s,
+    strike: s => s,
+    code: s => s,
+    pre: s => s,
+    link: plainLink,
+    quote: s => prefixLines(s, '> '),
+    rule: '———'
+  },
+  whatsapp: {
+    text: s => s,
+    bold: s => `*${s}*`,
+    italic: s => `_${s}_`,
+    strike: s => `~${s}~`,
+    code: s => `\`${s}\``,
+    pre: s => `\`\`\`\n${s}\n\`\`\``,
+    link: plainLink,
+    quote: s => prefixLines(s, '> '),
+    rule: '———'
+  },
+  slack: {
+    text: escapeHtml,
+    bold: s => `*${s}*`,
+    italic: s => `_${s}_`,
+    strike: s => `~${s}~`,
+    code: s => `\`${escapeHtml(s)}\``,
+    pre: s => `\`\`\`\n${escapeHtml(s)}\n\`\`\``,
+    link: (label, url) => `<${url}|${label}>`,
+    quote: s => prefixLines(s, '> '),
+    rule: '———'
+  },
+  html: {
+    text: escapeHtml,
+    bold: s => `<b>${s}</b>`,
+    italic: s => `<i>${s}</i>`,
+    strike: s => `<s>${s}</s>`,
+    code: s => `<code>${escapeHtml(s)}</code>`,
+    pre: (s, lang) => lang
+      ? `<pre><code class="language-${lang}">${escapeHtml(s)}</code></pre>`
+      : `<pre>${escapeHtml(s)}</pre>`,
+    link: (label, url) => `<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${label}</a>`,
+    quote: s => `<blockquote>${s}</blockquote>`,
+    rule: '———'
+  },
+  markdownv2: {
+    text: escapeV2,
+    bold: s => `*${s}*`,
+    italic: s => `_${s}_`,
+    strike: s => `~${s}~`,
+    code: s => `\`${s.replace(/[`\\]/g, '\\$&')}\``,
+    pre: (s, lang) => `\`\`\`${lang}\n${s.replace(/[`\\]/g, '\\$&')}\n\`\`\``,
+    link: (label, url) => `[${label}](${url.replace(/[)\\]/g, '\\$&')})`,
+    quote: s => prefixLines(s, '>'),
+    rule: '———'
+  }
+}
+
+// Inline spans, earliest match first; on a tie the first pattern listed wins
+const INLINE = [
+  { type: 'code', re: /`([^`\n]+)`/ },
+  // URLs may contain one level of parentheses (Wikipedia links)
+  { type: 'link', re: /\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:)(?:[^\s()]|\([^\s()]*\))+)\)/ },
+  { type: 'bold', re: /\*\*(?=\S)([^\n]*?\S)\*\*|__(?=\S)([^\n]*?\S)__/ },
+  { type: 'strike', re: /~~(?=\S)([^\n]*?\S)~~/ },
+  // Single * or _ only counts next to a non-word character, so snake_case and 2*3*4 survive
+  { type: 'italic', re: /(?<![\w*])\*(?=[^\s*])([^\n*]*?[^\s*])\*(?![\w*])|(?<![\w_])_(?=[^\s_])([^\n_]*?[^\s_])_(?![\w_])/ }
+]
+
+function renderInline(text, d) {
+  let out = ''
+  let rest = text
+  while (rest) {
+    let best = null
+    for (const { type, re } of INLINE) {
+      const match = re.exec(rest)
+      if (match && (!best || match.index < best.match.index)) best = { type, match }
+    }
+    if (!best) {
+      out += d.text(rest)
+      break
+    }
+
+    const { type, match } = best
+    out += d.text(rest.slice(0, match.index))
+    if (type === 'code') {
+      out += d.code(match[1])
+    } else if (type === 'link') {
+      out += d.link(renderInline(match[1], d), match[2])
+    } else {
+      out += d[type](renderInline(match[1] ?? match[2], d))
+    }
+    rest = rest.slice(match.index + match[0].length)
+  }
+  return out
+}
+
+/**
+ * Convert markdown to a platform dialect
+ * @param {string} text - Markdown from the agent
+ * @param {string} dialect - plain | markdown | whatsapp | slack | html | markdownv2
+ * @returns {string}
+ */
+export function renderMarkdown(text, dialect = 'plain') {
+  if (dialect === 'markdown') return text
+  const d = DIALECTS[dialect]
+  if (!d) {
+    throw new Error(`Unknown markdown dialect: ${dialect}`)
+  }
+
+  const lines = text.split('\n')
+  const out = []
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Code block (an unclosed one runs to the end, e.g. mid-stream)
+    const fence = line.match(/^\s*```\s*([\w+-]*)\s*$/)
+    if (fence) {
+      const body = []
+      while (i + 1 < lines.length && !/^\s*```\s*$/.test(lines[i + 1])) body.push(lines[++i])
+      i++
+      out.push(d.pre(body.join('\n'), fence[1]))
+      continue
+    }
+
+    const quote = line.match(/^>\s?(.*)$/)
+    if (quote) {
+      const body = [quote[1]]
+      while (i + 1 < lines.length && /^>/.test(lines[i + 1])) body.push(lines[++i].replace(/^>\s?/, ''))
+      out.push(d.quote(body.map(l => renderInline(l, d)).join('\n')))
+      continue
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*$/)
+    if (heading) {
+      out.push(d.bold(renderInline(heading[1], d)))
+      continue
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push(d.rule)
+      continue
+    }
+
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/)
+    if (bullet) {
+      out.push(`${bullet[1]}• ${renderInline(bullet[2], d)}`)
+      continue
+    }
+
+    out.push(renderInline(line, d))
+  }
+  return out.join('\n')
+}
+
+/**
+ * Close code blocks cut off at the end of a chunk and reopen them at the start of the next
+ * @param {string[]} chunks - Consecutive pieces of one markdown text
+ * @returns {string[]}
+ */
+export function balanceFences(chunks) {
+  let openLang = null
+  return chunks.map((chunk) => {
+    let text = openLang !== null ? `\`\`\`${openLang}\n${chunk}` : chunk
+    openLang = null
+    for (const line of text.split('\n')) {
+      const fence = line.match(/^\s*```\s*([\w+-]*)\s*$/)
+      if (fence) openLang = openLang === null ? fence[1] : null
+    }
+    if (openLang !== null) text += '\n```'
+    return text
+  })
+}
@@ -0,0 +1,270 @@
+import {
+  MatrixClient,
+  SimpleFsStorageProvider,
+  RustSdkCryptoStorageProvider,
+  LogService,
+  LogLevel
+} from 'matrix-bot-sdk'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import BaseAdapter from './base.js'
+import { renderMarkdown } from './markdown.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const STORE_DIR = path.join(__dirname, '..', 'matrix_store')
+
+/**
+ * Matrix adapter using matrix-bot-sdk (client-server API)
+ * Supports DMs and rooms, including end-to-end encrypted rooms, with text and image messages
+ */
+export default class MatrixAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.client = null
+    this.userId = null
+    this.displayName = null
+    this.startedAt = 0
+  }
+
+  async start() {
+    if (!this.config.homeserverUrl || !this.config.accessToken) {
+      throw new Error('Matrix homeserver URL and access token are required')
+    }
+
+    LogService.setLevel(LogLevel.WARN)
+
+    const storeDir = this.config.storeDir || STORE_DIR
+    const storage = new SimpleFsStorageProvider(path.join(storeDir, 'bot.json'))
+    // Encryption keys are tied to the access token's device — keep this directory across restarts
+    const cryptoStore = this.config.encryption !== false
+      ? new RustSdkCryptoStorageProvider(path.join(storeDir, 'crypto'))
+      : undefined
+
+    this.client = new MatrixClient(this.config.homeserverUrl, this.config.accessToken, storage, cryptoStore)
+    this.userId = await this.client.getUserId()
+
+    try {
+      const profile = await this.client.getUserProfile(this.userId)
+      this.displayName = profile?.displayname || null
+    } catch (err) {
+      // No profile set
+    }
+
+    this.client.on('room.invite', async (roomId, inviteEvent) => {
+      await this.handleInvite(roomId, inviteEvent)
+    })
+
+    this.client.on('room.message', async (roomId, event) => {
+      await this.handleMessage(roomId, event)
+    })
+
+    this.client.on('room.failed_decryption', (roomId, event, err) => {
+      console.error(`[Matrix] Failed to decrypt event in ${roomId}:`, err.message)
+    })
+
+    // Skip anything from the initial sync backlog
+    this.startedAt = Date.now()
+    await this.client.start()
+
+    console.log(`[Matrix] Connected as ${this.userId}${cryptoStore ? ' (encryption enabled)' : ''}`)
+    console.log('[Matrix] Adapter started')
+  }
+
+  async stop() {
+    if (this.client) {
+      this.client.stop()
+      this.client = null
+    }
+    console.log('[Matrix] Adapter stopped')
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, maxLength: 16000, markdown: 'html' }
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.client) {
+      throw new Error('Matrix not connected')
+    }
+
+    // Events are capped at 64KB; keep well under it (encrypted rooms add overhead)
+    // Clients that ignore formatted_body fall back to the plain rendering in body
+    for (const chunk of this.splitMarkdown(text)) {
+      await this.client.sendMessage(chatId, {
+        msgtype: 'm.text',
+        body: renderMarkdown(chunk, 'plain'),
+        format: 'org.matrix.custom.html',
+        formatted_body: renderMarkdown(chunk, 'html')
+      })
+    }
+  }
+
+  async sendTyping(chatId) {
+    if (!this.client) return
+    try {
+      await this.client.setTyping(chatId, true, 30000)
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async stopTyping(chatId) {
+    if (!this.client) return
+    try {
+      await this.client.setTyping(chatId, false)
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async react(chatId, messageId, emoji) {
+    if (!this.client) return
+    try {
+      await this.client.sendEvent(chatId, 'm.reaction', {
+        'm.relates_to': { rel_type: 'm.annotation', event_id: messageId, key: emoji }
+      })
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Only accept invites to allowlisted rooms or from allowlisted users
+   */
+  async handleInvite(roomId, inviteEvent) {
+    const inviter = inviteEvent.sender
+    const { allowedDMs, allowedGroups } = this.config
+    const allowed = allowedGroups.includes('*') || allowedGroups.includes(roomId) ||
+      allowedDMs.includes('*') || allowedDMs.includes(inviter)
+
+    if (!allowed) {
+      console.log(`[Security] Ignored Matrix invite to ${roomId} from ${inviter} (not in allowlist)`)
+      return
+    }
+
+    try {
+      await this.client.joinRoom(roomId)
+      console.log(`[Matrix] Joined ${roomId} (invited by ${inviter})`)
+    } catch (err) {
+      console.error(`[Matrix] Failed to join ${roomId}:`, err.message)
+    }
+  }
+
+  /**
+   * DMs are allowlisted by user ID, rooms by room ID
+   */
+  shouldRespond(message, config) {
+    const chatId = message.isGroup ? message.chatId : message.sender
+    return super.shouldRespond({ ...message, chatId }, config)
+  }
+
+  /**
+   * A room is a DM if it's marked as direct (m.direct) or has only us and the sender
+   */
+  async isDirectRoom(roomId) {
+    if (this.client.dms.isDm(roomId)) return true
+    try {
+      const members = await this.client.getJoinedRoomMembers(roomId)
+      return members.length <= 2
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Check for a mention pill, intentional mention (m.mentions) or plain name/ID mention
+   */
+  isMentioned(content) {
+    if (content['m.mentions']?.user_ids?.includes(this.userId)) return true
+
+    const formatted = content.formatted_body || ''
+    if (formatted.includes(`matrix.to/#/${this.userId}`) || formatted.includes(`matrix.to/#/${encodeURIComponent(this.userId)}`)) {
+      return true
+    }
+
+    const body = content.body || ''
+    return body.includes(this.userId) || (!!this.displayName && body.includes(this.displayName))
+  }
+
+  /**
+   * Remove the bot's pill text ("Name: ...") and user ID from the message body
+   */
+  stripMention(text) {
+    let result = text.split(this.userId).join('')
+    if (this.displayName) {
+      result = result.replace(new RegExp(`^${this.displayName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:?`), '')
+    }
+    return result.trim()
+  }
+
+  /**
+   * Download an image, decrypting it first if it came from an encrypted room
+   */
+  async downloadImage(content) {
+    try {
+      let buffer
+      if (content.file && this.client.crypto) {
+        buffer = await this.client.crypto.decryptMedia(content.file)
+      } else if (content.url) {
+        buffer = (await this.client.downloadContent(content.url)).data
+      } else {
+        return null
+      }
+      console.log('[Matrix] Image downloaded, size:', buffer.length)
+      return {
+        data: buffer.toString('base64'),
+        mediaType: content.info?.mimetype || 'image/jpeg'
+      }
+    } catch (err) {
+      console.error('[Matrix] Failed to download image:', err.message)
+      return null
+    }
+  }
+
+  async handleMessage(roomId, event) {
+    // Skip our own messages and anything from before we started
+    if (event.sender === this.userId) return
+    if (event.origin_server_ts && event.origin_server_ts < this.startedAt) return
+
+    const content = event.content || {}
+
+    // Skip edits, and notices (the convention for bot-to-bot output)
+    if (content['m.relates_to']?.rel_type === 'm.replace') return
+    if (content.msgtype !== 'm.text' && content.msgtype !== 'm.image') return
+
+    const isGroup = !(await this.isDirectRoom(roomId))
+    const sender = event.sender
+    const botMentioned = this.isMentioned(content)
+
+    const isImage = content.msgtype === 'm.image'
+    let text = isImage ? '' : (content.body || '')
+    if (botMentioned) {
+      text = this.stripMention(text)
+    }
+
+    const message = {
+      chatId: roomId,
+      text,
+      isGroup,
+      sender,
+      mentions: botMentioned ? ['self'] : [],
+      image: null,
+      raw: event
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    if (isImage) {
+      message.image = await this.downloadImage(content)
+      if (!message.text) {
+        message.text = '[Image]'
+      }
+    }
+
+    if (!message.text && !message.image) return
+
+    this.emitMessage(message)
+  }
+}
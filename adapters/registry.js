@@ -0,0 +1,103 @@
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+/**
+ * Built-in adapters: platform name -> module, configured by the config section of the same name
+ */
+export const BUILTIN_ADAPTERS = {
+  whatsapp: './whatsapp.js',
+  imessage: './imessage.js',
+  telegram: './telegram.js',
+  signal: './signal.js',
+  discord: './discord.js',
+  slack: './slack.js',
+  matrix: './matrix.js',
+  email: './email.js',
+  webchat: './webchat.js',
+  webhook: './webhook.js',
+  irc: './irc.js',
+  xmpp: './xmpp.js'
+}
+
+// What the gateway calls on every adapter
+const REQUIRED_METHODS = ['start', 'stop', 'sendMessage', 'onMessage', 'onConnectionState', 'getHttpRoutes', 'shouldRespond', 'generateSessionKey']
+
+/**
+ * Expand a config section into adapter instances: the section itself under the platform name
+ * (when enabled), and each of its accounts under "<platform>:<account>". An account takes the
+ * section's settings, except the allowlists, and overrides them with its own.
+ */
+function instances(name, module, section, enabled) {
+  const { accounts, ...base } = section
+  const entries = enabled ? [{ name, module, options: base }] : []
+
+  for (const [account, overrides] of Object.entries(accounts || {})) {
+    if (overrides.enabled === false) continue
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(account)) {
+      console.error(`[Gateway] Skipping account "${name}:${account}": use lowercase letters, digits, - and _ in names`)
+      continue
+    }
+    entries.push({
+      name: `${name}:${account}`,
+      module,
+      options: { ...base, allowedDMs: [], allowedGroups: [], ...overrides, enabled: true, account }
+    })
+  }
+  return entries
+}
+
+/**
+ * The adapters enabled in config: built-ins whose section has enabled: true,
+ * plus entries in config.adapters (an npm package or a local file each), plus their accounts
+ * @param {Object} config - The gateway config
+ * @returns {Array<{ name: string, module: string, options: Object }>}
+ */
+export function enabledAdapters(config) {
+  const entries = []
+  for (const [name, module] of Object.entries(BUILTIN_ADAPTERS)) {
+    if (config[name]) entries.push(...instances(name, module, config[name], !!config[name].enabled))
+  }
+
+  for (const [name, options] of Object.entries(config.adapters || {})) {
+    if (options.enabled === false) continue
+    // A bad entry only costs that adapter
+    if (BUILTIN_ADAPTERS[name]) {
+      console.error(`[Gateway] Skipping adapter "${name}": the name is taken by a built-in adapter`)
+      continue
+    }
+    if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+      console.error(`[Gateway] Skipping adapter "${name}": use lowercase letters, digits, - and _ in names`)
+      continue
+    }
+    if (!options.module) {
+      console.error(`[Gateway] Skipping adapter "${name}": no module configured`)
+      continue
+    }
+    entries.push(...instances(name, options.module, options, true))
+  }
+  return entries
+}
+
+/**
+ * Import an adapter module and return its class (the default export)
+ * @param {string} module - Built-in path, npm package name, or file path (relative to the project root)
+ * @returns {Promise<Function>}
+ */
+export async function loadAdapter(module) {
+  let specifier = module
+  if (!Object.values(BUILTIN_ADAPTERS).includes(module) && (module.startsWith('.') || path.isAbsolute(module))) {
+    specifier = pathToFileURL(path.resolve(ROOT, module)).href
+  }
+
+  const { default: Adapter } = await import(specifier)
+  if (typeof Adapter !== 'function') {
+    throw new Error(`${module} has no default export class`)
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof Adapter.prototype[method] !== 'function')
+  if (missing.length) {
+    throw new Error(`${module} is not an adapter (missing ${missing.join(', ')}); extend adapters/base.js`)
+  }
+  return Adapter
+}
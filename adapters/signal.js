@@ -1,7 +1,13 @@
 import { spawn } from 'child_process'
 import { createInterface } from 'readline'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import BaseAdapter from './base.js'
 
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024 // larger images are saved as files instead
+const REQUEST_TIMEOUT_MS = 60000
+
 /**
  * Signal adapter using signal-cli
  * Requires signal-cli to be installed and configured
@@ -11,8 +17,16 @@ export default class SignalAdapter extends BaseAdapter {
   constructor(config) {
     super(config)
     this.process = null
+    this.stopping = false
+    this.restartTimer = null
+    this.restartAttempts = 0
+    this.pending = new Map() // request id -> { resolve, reject, timer }
+    this.nextId = 1
     this.phoneNumber = config.phoneNumber
     this.signalCliPath = config.signalCliPath || 'signal-cli'
+    // Where signal-cli stores received attachments (named by attachment id)
+    this.attachmentsDir = config.attachmentsDir ||
+      path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'signal-cli', 'attachments')
   }
 
   async start() {
@@ -20,50 +34,116 @@ export default class SignalAdapter extends BaseAdapter {
       throw new Error('Signal phone number is required in config')
     }
 
+    this.stopping = false
+    this.spawnDaemon()
+
+    console.log(`[Signal] Connected as ${this.phoneNumber}`)
+    console.log('[Signal] Adapter started')
+  }
+
+  /**
+   * Launch signal-cli in JSON-RPC mode. Incoming messages arrive as 'receive' notifications on stdout,
+   * and everything we send goes through the same process (see request()).
+   * If it exits unexpectedly it is restarted with a growing delay.
+   */
+  spawnDaemon() {
     console.log('[Signal] Starting signal-cli daemon...')
 
-    // Start signal-cli in JSON-RPC mode
-    this.process = spawn(this.signalCliPath, [
+    const proc = spawn(this.signalCliPath, [
       '-u', this.phoneNumber,
       'jsonRpc'
     ], {
       stdio: ['pipe', 'pipe', 'pipe']
     })
+    this.process = proc
+    const startedAt = Date.now()
 
-    const rl = createInterface({ input: this.process.stdout })
+    const rl = createInterface({ input: proc.stdout })
 
     rl.on('line', async (line) => {
+      let data
       try {
-        const data = JSON.parse(line)
-        if (data.method === 'receive') {
+        data = JSON.parse(line)
+      } catch (err) {
+        // Not JSON, ignore
+        return
+      }
+
+      if (data.id !== undefined && this.pending.has(data.id)) {
+        const { resolve, reject, timer } = this.pending.get(data.id)
+        clearTimeout(timer)
+        this.pending.delete(data.id)
+        if (data.error) {
+          reject(new Error(`signal-cli: ${data.error.message || `error ${data.error.code}`}`))
+        } else {
+          resolve(data.result)
+        }
+        return
+      }
+
+      if (data.method === 'receive') {
+        try {
           await this.handleMessage(data.params)
+        } catch (err) {
+          console.error('[Signal] Failed to handle message:', err.message)
         }
-      } catch (err) {
-        // Not JSON or parse error, ignore
       }
     })
 
-    this.process.stderr.on('data', (data) => {
+    proc.stderr.on('data', (data) => {
       const msg = data.toString().trim()
       if (msg && !msg.includes('DEBUG')) {
         console.error('[Signal]', msg)
       }
     })
 
-    this.process.on('error', (err) => {
+    proc.on('error', (err) => {
       console.error('[Signal] Process error:', err.message)
     })
 
-    this.process.on('close', (code) => {
+    // Writing to a daemon that just died fails with EPIPE; unhandled, that would take down the gateway.
+    // The 'close' handler restarts it.
+    proc.stdin.on('error', (err) => {
+      console.error('[Signal] Failed to write to signal-cli:', err.message)
+      if (this.process === proc) this.rejectPending(`signal-cli stopped accepting requests (${err.message})`)
+    })
+
+    proc.on('close', (code) => {
       console.log('[Signal] Process exited with code:', code)
+      if (this.process !== proc) return
       this.process = null
+      this.rejectPending('signal-cli exited')
+
+      if (this.stopping) return
+      // A daemon that ran for a while gets restarted right away; one that keeps dying backs off up to a minute
+      if (Date.now() - startedAt > 60000) this.restartAttempts = 0
+      const delay = Math.min(1000 * 2 ** this.restartAttempts, 60000)
+      this.restartAttempts++
+      console.log(`[Signal] Restarting signal-cli in ${Math.round(delay / 1000)}s...`)
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null
+        if (!this.stopping) this.spawnDaemon()
+      }, delay)
     })
+  }
 
-    console.log(`[Signal] Connected as ${this.phoneNumber}`)
-    console.log('[Signal] Adapter started')
+  /**
+   * Fail every request still waiting for an answer
+   */
+  rejectPending(reason) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer)
+      reject(new Error(reason))
+    }
+    this.pending.clear()
   }
 
   async stop() {
+    this.stopping = true
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer)
+      this.restartTimer = null
+    }
     if (this.process) {
       this.process.kill()
       this.process = null
@@ -71,34 +151,117 @@ export default class SignalAdapter extends BaseAdapter {
     console.log('[Signal] Adapter stopped')
   }
 
-  async sendMessage(chatId, text) {
+  /**
+   * Send a JSON-RPC request to the daemon and wait for the response with the same id
+   * @param {string} method - signal-cli method (send, sendTyping, sendReaction, ...)
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} The result
+   */
+  request(method, params) {
+    if (!this.process) {
+      return Promise.reject(new Error('Signal not connected'))
+    }
+
+    const id = this.nextId++
     return new Promise((resolve, reject) => {
-      const isGroup = chatId.startsWith('group.')
-
-      const args = [
-        '-u', this.phoneNumber,
-        'send',
-        '-m', text
-      ]
-
-      if (isGroup) {
-        args.push('-g', chatId.replace('group.', ''))
-      } else {
-        args.push(chatId)
-      }
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`signal-cli did not answer ${method} in time`))
+      }, REQUEST_TIMEOUT_MS)
+      this.pending.set(id, { resolve, reject, timer })
+      this.process.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n')
+    })
+  }
 
-      const proc = spawn(this.signalCliPath, args)
+  /**
+   * Who a request is addressed to: a group or a single recipient
+   */
+  target(chatId) {
+    return chatId.startsWith('group.')
+      ? { groupId: chatId.replace('group.', '') }
+      : { recipient: [chatId] }
+  }
 
-      proc.on('close', (code) => {
-        if (code === 0) {
-          resolve()
-        } else {
-          reject(new Error(`signal-cli exited with code ${code}`))
-        }
+  get capabilities() {
+    return { ...super.capabilities, reactions: true, files: true }
+  }
+
+  async sendMessage(chatId, text) {
+    await this.request('send', { ...this.target(chatId), message: this.formatMessage(text)[0] })
+  }
+
+  async sendFile(chatId, filepath, caption = '') {
+    await this.request('send', { ...this.target(chatId), message: caption, attachments: [filepath] })
+  }
+
+  async sendImage(chatId, image, caption = '') {
+    const extension = image.mediaType.split('/')[1]?.replace('jpeg', 'jpg') || 'png'
+    const attachment = `data:${image.mediaType};filename=image.${extension};base64,${image.data}`
+    await this.request('send', { ...this.target(chatId), message: caption, attachments: [attachment] })
+  }
+
+  async sendTyping(chatId) {
+    try {
+      await this.request('sendTyping', this.target(chatId))
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async stopTyping(chatId) {
+    try {
+      await this.request('sendTyping', { ...this.target(chatId), stop: true })
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  /**
+   * React to a message
+   * @param {string} messageId - "<author>:<timestamp>", as set on incoming messages
+   */
+  async react(chatId, messageId, emoji) {
+    const separator = messageId.lastIndexOf(':')
+    try {
+      await this.request('sendReaction', {
+        ...this.target(chatId),
+        emoji,
+        targetAuthor: messageId.slice(0, separator),
+        targetTimestamp: Number(messageId.slice(separator + 1))
       })
+    } catch (err) {
+      // Ignore
+    }
+  }
 
-      proc.on('error', reject)
-    })
+  /**
+   * Load the attachments signal-cli has stored for a message: images are passed to the agent,
+   * other files (and voice notes) are copied to the workspace and described in notes
+   */
+  collectAttachments(attachments, chatId, images, notes) {
+    for (const attachment of attachments) {
+      const { id, contentType, filename, size, voiceNote } = attachment
+      try {
+        const storedPath = attachment.storedFilename || path.join(this.attachmentsDir, id)
+        const buffer = fs.readFileSync(storedPath)
+
+        if (/^image\/(png|jpeg|gif|webp)$/.test(contentType) && buffer.length <= MAX_IMAGE_BYTES) {
+          console.log('[Signal] Image loaded, size:', buffer.length)
+          images.push({ data: buffer.toString('base64'), mediaType: contentType })
+          continue
+        }
+
+        const kind = voiceNote ? 'Voice message' : 'File'
+        const extension = contentType?.split('/')[1]?.split(';')[0] || 'bin'
+        const name = filename || `${voiceNote ? 'voice' : 'attachment'}.${extension}`
+        const filepath = this.saveIncomingFile(this.platform, chatId, name, buffer)
+        console.log(`[Signal] ${kind} saved to ${filepath}`)
+        notes.push(`[${kind} saved to ${filepath} (${contentType || 'unknown type'}, ${Math.ceil((size || buffer.length) / 1024)} KB)]`)
+      } catch (err) {
+        console.error('[Signal] Failed to load attachment:', err.message)
+        notes.push(`[An attachment could not be loaded: ${err.message}]`)
+      }
+    }
   }
 
   async handleMessage(params) {
@@ -112,7 +275,8 @@ export default class SignalAdapter extends BaseAdapter {
     if (!dataMessage) return
 
     const text = dataMessage.message || ''
-    if (!text) return
+    const attachments = dataMessage.attachments || []
+    if (!text && !attachments.length) return
 
     const isGroup = !!dataMessage.groupInfo
     const chatId = isGroup
@@ -131,7 +295,15 @@ export default class SignalAdapter extends BaseAdapter {
       isGroup,
       sender,
       mentions: isMentioned ? ['self'] : [],
-      image: null, // TODO: Handle attachments
+      image: null,
+      messageId: `${sender}:${envelope.timestamp}`,
+      replyTo: dataMessage.quote
+        ? {
+            text: dataMessage.quote.text,
+            sender: dataMessage.quote.authorNumber || dataMessage.quote.author,
+            fromBot: (dataMessage.quote.authorNumber || dataMessage.quote.author) === this.phoneNumber
+          }
+        : null,
       raw: envelope
     }
 
@@ -139,6 +311,24 @@ export default class SignalAdapter extends BaseAdapter {
       return
     }
 
+    // Only read attachments once the sender has passed the checks
+    const images = []
+    const notes = []
+    this.collectAttachments(attachments, chatId, images, notes)
+
+    if (notes.length) {
+      message.text = [message.text, ...notes].filter(Boolean).join('\n')
+    }
+    if (images.length) {
+      message.image = images[0]
+      if (images.length > 1) message.images = images
+      if (!message.text) {
+        message.text = images.length > 1 ? `[${images.length} images]` : '[Image]'
+      }
+    }
+
+    if (!message.text && !message.image) return
+
     this.emitMessage(message)
   }
 }
@@ -0,0 +1,207 @@
+import { SocketModeClient } from '@slack/socket-mode'
+import { WebClient } from '@slack/web-api'
+import BaseAdapter from './base.js'
+
+// Threads stay followed for a week after the last message, and only the most recent ones
+const THREAD_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const MAX_ACTIVE_THREADS = 1000
+
+/**
+ * Slack adapter using Socket Mode (no public URL needed)
+ * Supports DMs, channel mentions and thread replies, with text and image messages
+ *
+ * Chat IDs are `<channel>` for top-level conversations and `<channel>/<thread_ts>`
+ * for threads, so replies land in the thread the message came from.
+ */
+export default class SlackAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.client = null
+    this.web = null
+    this.botUserId = null
+    // Threads the bot has replied in — follow-ups there don't need an @mention
+    this.activeThreads = new Map() // chatId -> last activity, oldest first
+  }
+
+  async start() {
+    if (!this.config.botToken || !this.config.appToken) {
+      throw new Error('Slack bot token (xoxb-) and app-level token (xapp-) are required')
+    }
+
+    this.web = new WebClient(this.config.botToken)
+    const auth = await this.web.auth.test()
+    this.botUserId = auth.user_id
+    console.log(`[Slack] Connected as @${auth.user} in ${auth.team}`)
+
+    this.client = new SocketModeClient({ appToken: this.config.appToken })
+
+    // Channel mentions also arrive as `message` events, so app_mention isn't needed
+    this.client.on('message', async ({ event, ack }) => {
+      await ack()
+      await this.handleMessage(event)
+    })
+
+    this.client.on('error', (err) => {
+      console.error('[Slack] Socket error:', err.message)
+    })
+
+    await this.client.start()
+    console.log('[Slack] Adapter started')
+  }
+
+  async stop() {
+    if (this.client) {
+      await this.client.disconnect()
+      this.client = null
+    }
+    this.web = null
+    console.log('[Slack] Adapter stopped')
+  }
+
+  /**
+   * Split a chat ID into its channel and optional thread timestamp
+   */
+  parseChatId(chatId) {
+    const [channel, threadTs] = chatId.split('/')
+    return { channel, threadTs: threadTs || null }
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, maxLength: 4000, markdown: 'slack' }
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.web) {
+      throw new Error('Slack not connected')
+    }
+
+    const { channel, threadTs } = this.parseChatId(chatId)
+
+    // Slack truncates very long messages; keep each post under 4000 characters
+    for (const chunk of this.formatMessage(text)) {
+      await this.web.chat.postMessage({
+        channel,
+        text: chunk,
+        ...(threadTs ? { thread_ts: threadTs } : {})
+      })
+    }
+
+    if (threadTs) {
+      this.followThread(chatId)
+    }
+  }
+
+  /**
+   * Mark a thread as active (most recent last), dropping expired threads and the oldest over the cap
+   */
+  followThread(chatId) {
+    this.activeThreads.delete(chatId)
+    this.activeThreads.set(chatId, Date.now())
+    for (const [thread, lastSeen] of this.activeThreads) {
+      if (lastSeen >= Date.now() - THREAD_TTL_MS && this.activeThreads.size <= MAX_ACTIVE_THREADS) break
+      this.activeThreads.delete(thread)
+    }
+  }
+
+  isFollowing(chatId) {
+    const lastSeen = this.activeThreads.get(chatId)
+    return lastSeen !== undefined && lastSeen >= Date.now() - THREAD_TTL_MS
+  }
+
+  /**
+   * DMs are allowlisted by user ID, channels and threads by channel ID
+   */
+  shouldRespond(message, config) {
+    const chatId = message.isGroup ? message.channel : message.sender
+    return super.shouldRespond({ ...message, chatId }, config)
+  }
+
+  /**
+   * One session per thread; top-level DMs share a single session per channel
+   */
+  generateSessionKey(agentId, platform, message) {
+    if (message.threadTs) {
+      return `agent:${agentId}:${platform}:thread:${message.channel}:${message.threadTs}`
+    }
+    return super.generateSessionKey(agentId, platform, message)
+  }
+
+  /**
+   * Download the first image file shared with the message
+   */
+  async downloadImage(files) {
+    const file = files?.find(f => f.mimetype?.startsWith('image/'))
+    if (!file) return null
+
+    try {
+      // Private file URLs need the bot token (files:read scope)
+      const response = await fetch(file.url_private, {
+        headers: { Authorization: `Bearer ${this.config.botToken}` }
+      })
+      const buffer = Buffer.from(await response.arrayBuffer())
+      console.log('[Slack] Image downloaded, size:', buffer.length)
+      return {
+        data: buffer.toString('base64'),
+        mediaType: file.mimetype
+      }
+    } catch (err) {
+      console.error('[Slack] Failed to download image:', err.message)
+      return null
+    }
+  }
+
+  async handleMessage(event) {
+    // Skip edits, deletions, joins etc. — only plain messages and file shares
+    if (event.subtype && event.subtype !== 'file_share') return
+
+    // Skip our own and other bots' messages
+    if (event.bot_id || event.user === this.botUserId) return
+
+    const channel = event.channel
+    const isGroup = event.channel_type !== 'im'
+    const sender = event.user
+
+    // In channels, answer in a thread rooted at the mentioning message;
+    // in DMs, only use a thread if the user started one
+    const threadTs = event.thread_ts || (isGroup && this.config.replyInThread !== false ? event.ts : null)
+    const chatId = threadTs ? `${channel}/${threadTs}` : channel
+
+    // Check for bot mention, or a reply in a thread the bot is already part of
+    const mentionTag = `<@${this.botUserId}>`
+    let text = event.text || ''
+    const botMentioned = text.includes(mentionTag) || (!!event.thread_ts && this.isFollowing(chatId))
+
+    // Remove bot mention from text
+    text = text.split(mentionTag).join('').trim()
+
+    const message = {
+      chatId,
+      text,
+      isGroup,
+      sender,
+      mentions: botMentioned ? ['self'] : [],
+      image: null,
+      channel,
+      threadTs,
+      raw: event
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    message.image = await this.downloadImage(event.files)
+    if (message.image && !message.text) {
+      message.text = '[Image]'
+    }
+
+    if (!message.text && !message.image) return
+
+    // Keep following this thread once we've been pulled into it
+    if (threadTs) {
+      this.followThread(chatId)
+    }
+
+    this.emitMessage(message)
+  }
+}
@@ -1,15 +1,37 @@
 import TelegramBot from 'node-telegram-bot-api'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
 import BaseAdapter from './base.js'
+import { renderMarkdown } from './markdown.js'
+
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024 // Bot API getFile limit
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024 // larger images are saved as files instead
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024 // sendPhoto limit; larger images go out as documents
+const ALBUM_WAIT_MS = 1000
 
 /**
  * Telegram adapter using node-telegram-bot-api
- * Supports text and image messages
+ * Supports text, photos (including albums), documents, voice/audio and stickers
+ * Receives updates by long polling, or (mode: 'webhook') via a route on the gateway's HTTP server
  */
 export default class TelegramAdapter extends BaseAdapter {
   constructor(config) {
     super(config)
     this.bot = null
     this.botInfo = null
+    this.webhookSecret = null
+    this.prompts = new Map() // `${chatId}:${messageId}` -> { text, choices, sentAt }
+    this.albums = new Map() // media_group_id -> { messages, timer }
+  }
+
+  get useWebhook() {
+    return this.config.mode === 'webhook'
+  }
+
+  get webhookPath() {
+    const base = this.config.webhookPath || '/telegram'
+    return this.config.account ? `${base}/${this.config.account}` : base
   }
 
   async start() {
@@ -17,7 +39,11 @@ export default class TelegramAdapter extends BaseAdapter {
       throw new Error('Telegram bot token is required. Get one from @BotFather')
     }
 
-    this.bot = new TelegramBot(this.config.token, { polling: true })
+    if (this.useWebhook && !this.config.webhookUrl) {
+      throw new Error('Telegram webhook mode needs webhookUrl (the public HTTPS URL of the gateway)')
+    }
+
+    this.bot = new TelegramBot(this.config.token, { polling: false })
 
     // Get bot info
     this.botInfo = await this.bot.getMe()
@@ -28,106 +54,514 @@ export default class TelegramAdapter extends BaseAdapter {
       await this.handleMessage(msg)
     })
 
-    // Handle errors
-    this.bot.on('polling_error', (err) => {
-      console.error('[Telegram] Polling error:', err.message)
+    // Inline keyboard button presses
+    this.bot.on('callback_query', async (query) => {
+      await this.handleCallbackQuery(query)
     })
 
+    if (this.useWebhook) {
+      // Telegram echoes this back in a header so we can tell its requests from anyone else's
+      this.webhookSecret = this.config.webhookSecret || crypto.randomBytes(32).toString('hex')
+      const url = this.config.webhookUrl.replace(/\/$/, '') + this.webhookPath
+      await this.bot.setWebHook(url, { secret_token: this.webhookSecret })
+      console.log(`[Telegram] Webhook registered at ${url}`)
+    } else {
+      // getUpdates is refused while a webhook is set (e.g. left over from webhook mode)
+      await this.bot.deleteWebHook()
+
+      this.bot.on('polling_error', (err) => {
+        console.error('[Telegram] Polling error:', err.message)
+      })
+      await this.bot.startPolling()
+    }
+
     console.log('[Telegram] Adapter started')
   }
 
   async stop() {
+    for (const album of this.albums.values()) {
+      clearTimeout(album.timer)
+    }
+    this.albums.clear()
     if (this.bot) {
-      await this.bot.stopPolling()
+      if (this.useWebhook) {
+        try {
+          await this.bot.deleteWebHook()
+          console.log('[Telegram] Webhook removed')
+        } catch (err) {
+          console.error('[Telegram] Failed to remove webhook:', err.message)
+        }
+      } else {
+        await this.bot.stopPolling()
+      }
       this.bot = null
     }
     console.log('[Telegram] Adapter stopped')
   }
 
+  getHttpRoutes() {
+    if (!this.useWebhook) return {}
+    return {
+      [this.webhookPath]: {
+        request: (req, res) => this.handleWebhookRequest(req, res)
+      }
+    }
+  }
+
+  /**
+   * Accept an update POSTed by Telegram, checking the secret token header
+   */
+  async handleWebhookRequest(req, res) {
+    const token = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''))
+    const expected = Buffer.from(this.webhookSecret || '')
+    if (req.method !== 'POST' || !this.bot || token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+      console.log('[Security] Blocked Telegram webhook request (bad secret token)')
+      res.writeHead(401)
+      res.end()
+      return
+    }
+
+    let update
+    try {
+      update = JSON.parse(await this.readBody(req, 1024 * 1024))
+    } catch (err) {
+      res.writeHead(400)
+      res.end()
+      return
+    }
+
+    // Acknowledge straight away; Telegram retries anything that isn't answered quickly
+    res.writeHead(200)
+    res.end()
+    this.bot.processUpdate(update)
+  }
+
+  /**
+   * Forum topics are addressed as "<chat id>/<message_thread_id>"
+   * @returns {{ chat: string, options: Object }} The chat ID and send options that target the topic
+   */
+  parseChatId(chatId) {
+    const [chat, threadId] = String(chatId).split('/')
+    return { chat, options: threadId ? { message_thread_id: Number(threadId) } : {} }
+  }
+
+  /**
+   * Chat ID for an incoming message: messages in a forum topic get the topic's own ID
+   */
+  chatIdFor(msg) {
+    return msg.is_topic_message && msg.message_thread_id
+      ? `${msg.chat.id}/${msg.message_thread_id}`
+      : msg.chat.id.toString()
+  }
+
+  /**
+   * Replies are sent as HTML by default; set parseMode: 'MarkdownV2' to use Telegram's markdown instead
+   */
+  get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 4096,
+      markdown: this.config.parseMode === 'MarkdownV2' ? 'markdownv2' : 'html',
+      edits: true,
+      files: true,
+      buttons: true
+    }
+  }
+
+  /**
+   * Send a markdown chunk formatted; if Telegram rejects the markup (400), send it as plain text instead
+   * @param {string} chunk - Markdown that fits in one message once rendered
+   * @param {Function} send - Called with (text, options) to send or edit the message
+   */
+  async sendFormatted(chunk, send) {
+    const { markdown } = this.capabilities
+    try {
+      return await send(renderMarkdown(chunk, markdown), { parse_mode: markdown === 'html' ? 'HTML' : 'MarkdownV2' })
+    } catch (err) {
+      if (err.response?.statusCode !== 400 || /not modified/i.test(err.message)) throw err
+      console.error('[Telegram] Formatting rejected, sending as plain text:', err.message)
+      return await send(renderMarkdown(chunk, 'plain'), {})
+    }
+  }
+
   async sendMessage(chatId, text) {
     if (!this.bot) {
       throw new Error('Telegram not connected')
     }
 
+    const { chat, options } = this.parseChatId(chatId)
+
     // Telegram has a 4096 character limit per message
-    if (text.length > 4096) {
-      const chunks = this.splitMessage(text, 4096)
-      for (const chunk of chunks) {
-        await this.bot.sendMessage(chatId, chunk)
-      }
+    for (const chunk of this.splitMarkdown(text)) {
+      await this.sendFormatted(chunk, (body, format) => this.bot.sendMessage(chat, body, { ...options, ...format }))
+    }
+  }
+
+  /**
+   * Send a file from disk: photos are shown inline, anything else is sent as a document
+   */
+  async sendFile(chatId, filepath, caption = '') {
+    if (!this.bot) {
+      throw new Error('Telegram not connected')
+    }
+
+    const { chat, options } = this.parseChatId(chatId)
+    const contentType = this.mimeTypeFor(filepath)
+    const fileOptions = { filename: path.basename(filepath), contentType }
+    // Captions are limited to 1024 characters; longer ones follow as a message
+    const sendOptions = caption.length <= 1024 ? { ...options, caption } : options
+
+    if (/^image\/(png|jpeg|webp)$/.test(contentType) && fs.statSync(filepath).size <= MAX_PHOTO_BYTES) {
+      await this.bot.sendPhoto(chat, filepath, sendOptions, fileOptions)
     } else {
-      await this.bot.sendMessage(chatId, text)
+      await this.bot.sendDocument(chat, filepath, sendOptions, fileOptions)
+    }
+    if (caption.length > 1024) {
+      await this.sendMessage(chatId, caption)
     }
   }
 
-  splitMessage(text, maxLength) {
-    const chunks = []
-    let remaining = text
-    while (remaining.length > 0) {
-      if (remaining.length <= maxLength) {
-        chunks.push(remaining)
-        break
+  async sendImage(chatId, image, caption = '') {
+    if (!this.bot) {
+      throw new Error('Telegram not connected')
+    }
+
+    const { chat, options } = this.parseChatId(chatId)
+    const extension = image.mediaType.split('/')[1]?.replace('jpeg', 'jpg') || 'png'
+    const sendOptions = caption.length <= 1024 ? { ...options, caption } : options
+    await this.bot.sendPhoto(chat, Buffer.from(image.data, 'base64'), sendOptions, {
+      filename: `image.${extension}`,
+      contentType: image.mediaType
+    })
+    if (caption.length > 1024) {
+      await this.sendMessage(chatId, caption)
+    }
+  }
+
+  /**
+   * Stream a reply by sending a placeholder and editing it as text arrives.
+   * Edits are throttled to editInterval (three times slower in groups, which Telegram
+   * limits to ~20 messages a minute); past 4096 rendered characters the message is finalized
+   * and the rest continues in a new one. Each update is re-rendered from the markdown so far.
+   */
+  createStream(chatId) {
+    if (!this.config.streaming || !this.bot) return null
+
+    const { chat, options } = this.parseChatId(chatId)
+    const interval = (this.config.editInterval || 1000) * (chat.startsWith('-') ? 3 : 1)
+    const state = { started: false, messageId: null, text: '', shown: '', timer: null, lastEditAt: 0, chain: Promise.resolve() }
+
+    // Retry once after a rate limit (429) error
+    const call = async (fn) => {
+      try {
+        return await fn()
+      } catch (err) {
+        const retryAfter = err.response?.body?.parameters?.retry_after
+        if (!retryAfter) throw err
+        await new Promise(r => setTimeout(r, retryAfter * 1000))
+        return await fn()
+      }
+    }
+
+    const show = async (text) => {
+      const body = text.trim()
+      if (!body || body === state.shown) return
+      if (state.messageId) {
+        await this.sendFormatted(body, (rendered, format) => call(() =>
+          this.bot.editMessageText(rendered, { chat_id: chat, message_id: state.messageId, ...format })
+        ))
+      } else {
+        const sent = await this.sendFormatted(body, (rendered, format) => call(() =>
+          this.bot.sendMessage(chat, rendered, { ...options, ...format })
+        ))
+        state.messageId = sent.message_id
       }
-      // Find a good break point
-      let breakPoint = remaining.lastIndexOf('\n', maxLength)
-      if (breakPoint === -1 || breakPoint < maxLength / 2) {
-        breakPoint = remaining.lastIndexOf(' ', maxLength)
+      state.shown = body
+    }
+
+    const flush = async () => {
+      state.timer = null
+      const chunks = this.splitMarkdown(state.text)
+      if (chunks.length > 1) {
+        state.text = chunks.pop()
+        for (const chunk of chunks) {
+          await show(chunk)
+          // Next chunk goes into a new message
+          state.messageId = null
+          state.shown = ''
+        }
+      }
+      await show(state.text)
+      state.lastEditAt = Date.now()
+    }
+
+    // Updates run one at a time, in order
+    const run = (fn) => {
+      state.chain = state.chain.then(fn).catch((err) => {
+        console.error('[Telegram] Stream update failed:', err.message)
+      })
+      return state.chain
+    }
+
+    return {
+      write: async (text) => {
+        state.text += text
+        if (!state.started) {
+          state.started = true
+          run(() => show('…'))
+        }
+        if (!state.timer) {
+          state.timer = setTimeout(() => run(flush), Math.max(0, state.lastEditAt + interval - Date.now()))
+        }
+      },
+      end: async () => {
+        if (!state.started) return
+        clearTimeout(state.timer)
+        state.timer = null
+        await run(flush)
+        if (!state.text.trim() && state.messageId) {
+          // Nothing but whitespace arrived; drop the placeholder
+          await run(() => this.bot.deleteMessage(chat, state.messageId))
+        }
+        Object.assign(state, { started: false, messageId: null, text: '', shown: '' })
       }
-      if (breakPoint === -1 || breakPoint < maxLength / 2) {
-        breakPoint = maxLength
+    }
+  }
+
+  /**
+   * Send a prompt with an inline keyboard; a button press comes back as a message
+   * whose text is the choice's value (see handleCallbackQuery)
+   */
+  async sendChoices(chatId, text, choices) {
+    if (!this.bot) {
+      throw new Error('Telegram not connected')
+    }
+
+    // Prompts go out unformatted so the stored text can be reused when the message is edited after a choice
+    const { chat, options } = this.parseChatId(chatId)
+    const chunks = this.splitMarkdown(text).map(chunk => renderMarkdown(chunk, 'plain'))
+    const last = chunks.pop()
+    for (const chunk of chunks) {
+      await this.bot.sendMessage(chat, chunk, options)
+    }
+
+    // Short answers (Allow / Deny) fit on one row, longer options get a row each
+    const oneRow = choices.length <= 3 && choices.every(c => c.label.length <= 12)
+    const buttons = choices.map(c => ({ text: c.label, callback_data: c.value }))
+    const sent = await this.bot.sendMessage(chat, last, {
+      ...options,
+      reply_markup: { inline_keyboard: oneRow ? [buttons] : buttons.map(b => [b]) }
+    })
+
+    // Forget prompts nobody answered within a day
+    for (const [key, prompt] of this.prompts) {
+      if (Date.now() - prompt.sentAt > 24 * 60 * 60 * 1000) this.prompts.delete(key)
+    }
+    this.prompts.set(`${chatId}:${sent.message_id}`, { text: last, choices, sentAt: Date.now() })
+  }
+
+  /**
+   * Turn a button press into a reply to the pending prompt, then edit the prompt
+   * to show the chosen answer in place of the keyboard
+   */
+  async handleCallbackQuery(query) {
+    const msg = query.message
+    if (!msg) {
+      await this.bot.answerCallbackQuery(query.id).catch(() => {})
+      return
+    }
+
+    const chatId = this.chatIdFor(msg)
+    const key = `${chatId}:${msg.message_id}`
+    const prompt = this.prompts.get(key)
+    const choice = prompt?.choices.find(c => c.value === query.data)
+
+    const message = {
+      chatId,
+      text: query.data || '',
+      isGroup: msg.chat.type === 'group' || msg.chat.type === 'supergroup',
+      sender: query.from.id.toString(),
+      mentions: ['self'], // pressing our button is addressing us
+      image: null,
+      isChoice: true,
+      raw: query
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Not allowed' }).catch(() => {})
+      return
+    }
+
+    try {
+      if (!choice) {
+        // Sent before a restart, or already answered
+        await this.bot.answerCallbackQuery(query.id, { text: 'This prompt has expired' })
+        await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: msg.chat.id, message_id: msg.message_id })
+        return
       }
-      chunks.push(remaining.substring(0, breakPoint))
-      remaining = remaining.substring(breakPoint).trim()
+
+      this.prompts.delete(key)
+      await this.bot.answerCallbackQuery(query.id)
+
+      // The gateway marks the message expired if nothing was waiting for it (e.g. the approval timed out)
+      await this.emitMessage(message)
+
+      const suffix = message.expired ? '(expired)' : `→ ${choice.label}`
+      const body = prompt.text.length + suffix.length + 2 > 4096
+        ? prompt.text.slice(0, 4096 - suffix.length - 3) + '…'
+        : prompt.text
+      await this.bot.editMessageText(`${body}\n\n${suffix}`, { chat_id: msg.chat.id, message_id: msg.message_id })
+    } catch (err) {
+      console.error('[Telegram] Failed to handle button press:', err.message)
     }
-    return chunks
   }
 
   async sendTyping(chatId) {
     if (!this.bot) return
     try {
-      await this.bot.sendChatAction(chatId, 'typing')
+      const { chat, options } = this.parseChatId(chatId)
+      await this.bot.sendChatAction(chat, 'typing', options)
     } catch (err) {
       // Ignore
     }
   }
 
-  async handleMessage(msg) {
-    // Skip messages without content
-    if (!msg.text && !msg.photo && !msg.caption) return
+  /**
+   * Groups are allowlisted by chat ID; a forum topic can also be allowlisted on its own ("<chat id>/<topic id>")
+   */
+  shouldRespond(message, config) {
+    if (!message.isGroup || config.allowedGroups.includes(message.chatId)) {
+      return super.shouldRespond(message, config)
+    }
+    return super.shouldRespond({ ...message, chatId: this.parseChatId(message.chatId).chat }, config)
+  }
 
-    const chatId = msg.chat.id.toString()
-    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup'
-    const sender = msg.from?.id?.toString() || chatId
+  /**
+   * Each forum topic is its own session
+   */
+  generateSessionKey(agentId, platform, message) {
+    const [chat, threadId] = message.chatId.split('/')
+    if (threadId) {
+      return `agent:${agentId}:${platform}:topic:${chat}:${threadId}`
+    }
+    return super.generateSessionKey(agentId, platform, message)
+  }
 
-    // Extract text
-    let text = msg.text || msg.caption || ''
+  /**
+   * Download a file by its file_id (bots can only fetch files up to 20 MB)
+   */
+  async downloadFile(fileId) {
+    const fileLink = await this.bot.getFileLink(fileId)
+    const response = await fetch(fileLink)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return Buffer.from(await response.arrayBuffer())
+  }
 
-    // Check for image
-    let image = null
-    if (msg.photo && msg.photo.length > 0) {
-      // Get the largest photo
-      const photo = msg.photo[msg.photo.length - 1]
-      try {
-        const fileLink = await this.bot.getFileLink(photo.file_id)
-        const response = await fetch(fileLink)
-        const buffer = Buffer.from(await response.arrayBuffer())
-        image = {
-          data: buffer.toString('base64'),
-          mediaType: 'image/jpeg'
-        }
+  /**
+   * Collect what a message carries: photos, image documents and stickers become images
+   * for the agent; other files and voice/audio are saved to the workspace and described in notes
+   */
+  async collectAttachments(msg, chatId, images, notes) {
+    const saveFile = async (kind, fileId, filename, mimeType, size) => {
+      if (size > MAX_DOWNLOAD_BYTES) {
+        notes.push(`[${kind} "${filename}" is too large to download (bots are limited to 20 MB)]`)
+        return
+      }
+      const buffer = await this.downloadFile(fileId)
+      const filepath = this.saveIncomingFile(this.platform, chatId, filename, buffer)
+      console.log(`[Telegram] ${kind} saved to ${filepath}`)
+      notes.push(`[${kind} saved to ${filepath} (${mimeType || 'unknown type'}, ${Math.ceil(buffer.length / 1024)} KB)]`)
+    }
+
+    try {
+      if (msg.photo?.length) {
+        // Get the largest photo
+        const photo = msg.photo[msg.photo.length - 1]
+        const buffer = await this.downloadFile(photo.file_id)
         console.log('[Telegram] Image downloaded, size:', buffer.length)
-        if (!text) {
-          text = '[Image]'
+        images.push({ data: buffer.toString('base64'), mediaType: 'image/jpeg' })
+      }
+
+      if (msg.document) {
+        const { file_id, file_name, mime_type, file_size } = msg.document
+        // Screenshots sent "as file" are still images
+        if (/^image\/(png|jpeg|gif|webp)$/.test(mime_type) && file_size <= MAX_IMAGE_BYTES) {
+          const buffer = await this.downloadFile(file_id)
+          images.push({ data: buffer.toString('base64'), mediaType: mime_type })
+        } else {
+          await saveFile('File', file_id, file_name || 'document', mime_type, file_size)
+        }
+      }
+
+      if (msg.voice) {
+        await saveFile(`Voice message (${msg.voice.duration}s)`, msg.voice.file_id, 'voice.ogg', msg.voice.mime_type, msg.voice.file_size)
+      }
+
+      if (msg.audio) {
+        const { file_id, file_name, mime_type, file_size, title } = msg.audio
+        await saveFile('Audio file', file_id, file_name || `${title || 'audio'}.mp3`, mime_type, file_size)
+      }
+
+      if (msg.sticker) {
+        const { is_animated, is_video, file_id, thumbnail, emoji } = msg.sticker
+        notes.push(`[Sticker${emoji ? ` ${emoji}` : ''}]`)
+        // Animated and video stickers can't be shown to the agent, but their thumbnail can
+        const imageFileId = !is_animated && !is_video ? file_id : thumbnail?.file_id
+        if (imageFileId) {
+          const buffer = await this.downloadFile(imageFileId)
+          const isWebp = buffer.subarray(0, 4).toString() === 'RIFF'
+          images.push({ data: buffer.toString('base64'), mediaType: isWebp ? 'image/webp' : 'image/jpeg' })
         }
-      } catch (err) {
-        console.error('[Telegram] Failed to download image:', err.message)
       }
+    } catch (err) {
+      console.error('[Telegram] Failed to download attachment:', err.message)
+      notes.push(`[An attachment could not be downloaded: ${err.message}]`)
     }
+  }
+
+  async handleMessage(msg) {
+    // Skip service messages (joins, pins, ...) and anything we don't handle
+    if (!msg.text && !msg.caption && !msg.photo && !msg.document && !msg.voice && !msg.audio && !msg.sticker) return
+
+    // Albums arrive as one message per item; wait for the rest before handling them together
+    if (msg.media_group_id) {
+      const album = this.albums.get(msg.media_group_id) || { messages: [], timer: null }
+      album.messages.push(msg)
+      clearTimeout(album.timer)
+      album.timer = setTimeout(() => {
+        this.albums.delete(msg.media_group_id)
+        this.processMessages(album.messages).catch((err) => {
+          console.error('[Telegram] Failed to handle album:', err.message)
+        })
+      }, ALBUM_WAIT_MS)
+      this.albums.set(msg.media_group_id, album)
+      return
+    }
+
+    await this.processMessages([msg])
+  }
 
-    if (!text && !image) return
+  /**
+   * Turn one message, or all the messages of an album, into a single incoming message
+   */
+  async processMessages(msgs) {
+    const msg = msgs[0]
+    const chatId = this.chatIdFor(msg)
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup'
+    const sender = msg.from?.id?.toString() || msg.chat.id.toString()
+
+    // Extract text (an album's caption is on one of its items)
+    let text = msgs.map(m => m.text || m.caption).find(Boolean) || ''
 
-    // Check for bot mention in groups
-    const botMentioned = text.includes(`@${this.botInfo.username}`)
+    // Check for bot mention in groups; a reply to one of our messages counts too.
+    // Every message in a forum topic "replies" to the topic's first message, so that one doesn't.
+    const reply = msg.is_topic_message && msg.reply_to_message?.message_id === msg.message_thread_id
+      ? null
+      : msg.reply_to_message
+    const isReplyToBot = !!reply && reply.from?.id === this.botInfo.id
+    const botMentioned = text.includes(`@${this.botInfo.username}`) || isReplyToBot
 
     // Remove bot mention from text
     if (botMentioned) {
@@ -140,14 +574,42 @@ export default class TelegramAdapter extends BaseAdapter {
       isGroup,
       sender,
       mentions: botMentioned ? ['self'] : [],
-      image,
+      image: null,
+      replyTo: reply
+        ? {
+            // A partial quote (the user highlighted part of the message) beats the whole text
+            text: msg.quote?.text || reply.text || reply.caption || (reply.photo ? '[Image]' : ''),
+            sender: reply.from?.username || reply.from?.first_name || reply.from?.id?.toString(),
+            fromBot: isReplyToBot
+          }
+        : null,
       raw: msg
     }
 
+    // Check before downloading anything
     if (!this.shouldRespond(message, this.config)) {
       return
     }
 
+    const images = []
+    const notes = []
+    for (const m of msgs) {
+      await this.collectAttachments(m, chatId, images, notes)
+    }
+
+    if (notes.length) {
+      message.text = [message.text, ...notes].filter(Boolean).join('\n')
+    }
+    if (images.length) {
+      message.image = images[0]
+      if (images.length > 1) message.images = images
+      if (!message.text) {
+        message.text = images.length > 1 ? `[${images.length} images]` : '[Image]'
+      }
+    }
+
+    if (!message.text && !message.image) return
+
     this.emitMessage(message)
   }
 }
@@ -0,0 +1,234 @@
+import { WebSocketServer } from 'ws'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import BaseAdapter from './base.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const PAGE_PATH = path.join(__dirname, 'webchat.html')
+
+/**
+ * Browser chat served from the gateway's HTTP server
+ * - GET /chat serves the chat page
+ * - /chat/ws is a WebSocket; the first frame must be { type: 'auth', token, session }
+ * Each browser is its own chat, shared across its open tabs. The server hands the browser a random
+ * session secret in 'ready' (kept in localStorage and sent back on reconnect); the chat id is its
+ * hash, so knowing a chat's id isn't enough to join it.
+ */
+export default class WebChatAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.wss = null
+    this.clients = new Map() // chatId -> Set<WebSocket>
+  }
+
+  async start() {
+    if (!this.config.token) {
+      throw new Error('Web chat token is required (set WEBCHAT_TOKEN)')
+    }
+
+    this.page = fs.readFileSync(PAGE_PATH, 'utf-8')
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: this.config.maxUploadBytes || 10 * 1024 * 1024 })
+    this.wss.on('connection', (ws) => this.handleConnection(ws))
+
+    console.log('[WebChat] Adapter started (served at /chat)')
+  }
+
+  async stop() {
+    if (this.wss) {
+      for (const ws of this.wss.clients) {
+        ws.close(1001, 'Server shutting down')
+      }
+      this.wss.close()
+      this.wss = null
+    }
+    this.clients.clear()
+    console.log('[WebChat] Adapter stopped')
+  }
+
+  getHttpRoutes() {
+    return {
+      '/chat': {
+        request: (req, res) => {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+          res.end(this.page)
+        },
+        upgrade: (req, socket, head) => {
+          if (!this.wss || new URL(req.url, 'http://localhost').pathname !== '/chat/ws') {
+            socket.destroy()
+            return
+          }
+          this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req))
+        }
+      }
+    }
+  }
+
+  /**
+   * Constant-time token comparison
+   */
+  isValidToken(token) {
+    if (typeof token !== 'string') return false
+    const expected = Buffer.from(this.config.token)
+    const actual = Buffer.from(token)
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+  }
+
+  handleConnection(ws) {
+    let chatId = null
+
+    // Drop connections that don't authenticate promptly
+    const authTimeout = setTimeout(() => ws.close(4001, 'Authentication required'), 10000)
+
+    // Oversized frames and protocol errors surface here; without a listener they'd crash the gateway
+    ws.on('error', (err) => {
+      console.error('[WebChat] Connection error:', err.message)
+      ws.close(1008, 'Protocol error')
+    })
+
+    ws.on('message', async (data) => {
+      let frame
+      try {
+        frame = JSON.parse(data.toString())
+      } catch (err) {
+        return
+      }
+      if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+        ws.close(1008, 'Invalid frame')
+        return
+      }
+
+      try {
+        if (!chatId) {
+          if (frame.type !== 'auth' || !this.isValidToken(frame.token)) {
+            console.log('[Security] Blocked web chat connection (invalid token)')
+            ws.close(4003, 'Invalid token')
+            return
+          }
+          clearTimeout(authTimeout)
+          // Only a secret we issued (or one as hard to guess) gets back into an existing chat
+          const session = typeof frame.session === 'string' && /^[a-f0-9]{64}$/.test(frame.session)
+            ? frame.session
+            : crypto.randomBytes(32).toString('hex')
+          chatId = `web_${crypto.createHash('sha256').update(session).digest('hex').slice(0, 32)}`
+          if (!this.clients.has(chatId)) this.clients.set(chatId, new Set())
+          this.clients.get(chatId).add(ws)
+          ws.send(JSON.stringify({ type: 'ready', chatId, session }))
+          return
+        }
+
+        if (frame.type === 'message') {
+          await this.handleMessage(chatId, frame)
+        }
+      } catch (err) {
+        // A bad frame only costs its own connection
+        console.error('[WebChat] Failed to handle frame:', err.message)
+        ws.close(1011, 'Internal error')
+      }
+    })
+
+    ws.on('close', () => {
+      clearTimeout(authTimeout)
+      const sockets = this.clients.get(chatId)
+      if (sockets) {
+        sockets.delete(ws)
+        if (sockets.size === 0) this.clients.delete(chatId)
+      }
+    })
+  }
+
+  /**
+   * Send a frame to every open tab for this chat
+   */
+  broadcast(chatId, frame) {
+    const sockets = this.clients.get(chatId)
+    if (!sockets || sockets.size === 0) {
+      throw new Error(`Web chat ${chatId} is not connected`)
+    }
+    const payload = JSON.stringify(frame)
+    for (const ws of sockets) {
+      ws.send(payload)
+    }
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, markdown: 'markdown', buttons: true }
+  }
+
+  async sendMessage(chatId, text) {
+    this.broadcast(chatId, { type: 'message', text })
+  }
+
+  /**
+   * Render a prompt with buttons; clicking one sends its value back as a message
+   */
+  async sendChoices(chatId, text, choices) {
+    this.broadcast(chatId, { type: 'choices', text, choices })
+  }
+
+  async sendTyping(chatId) {
+    try {
+      this.broadcast(chatId, { type: 'typing', active: true })
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async stopTyping(chatId) {
+    try {
+      this.broadcast(chatId, { type: 'typing', active: false })
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Stream token deltas into a single message bubble until end()
+   */
+  createStream(chatId) {
+    let open = false
+    return {
+      write: async (text) => {
+        open = true
+        try {
+          this.broadcast(chatId, { type: 'delta', text })
+        } catch (err) {
+          // Tab closed mid-stream
+        }
+      },
+      end: async () => {
+        if (!open) return
+        open = false
+        try {
+          this.broadcast(chatId, { type: 'end' })
+        } catch (err) {
+          // Tab closed mid-stream
+        }
+      }
+    }
+  }
+
+  async handleMessage(chatId, frame) {
+    let text = typeof frame.text === 'string' ? frame.text.trim() : ''
+
+    let image = null
+    if (typeof frame.image?.data === 'string' && /^image\/(png|jpeg|gif|webp)$/.test(frame.image.mediaType)) {
+      image = { data: frame.image.data, mediaType: frame.image.mediaType }
+      if (!text) text = '[Image]'
+    }
+
+    if (!text && !image) return
+
+    // Access is gated by the token; every authenticated browser is a DM
+    this.emitMessage({
+      chatId,
+      text,
+      isGroup: false,
+      sender: chatId,
+      mentions: [],
+      image,
+      raw: frame
+    })
+  }
+}
@@ -0,0 +1,250 @@
+import crypto from 'crypto'
+import BaseAdapter from './base.js'
+
+const SIGNATURE_HEADER = 'x-openclaw-signature'
+const TIMESTAMP_HEADER = 'x-openclaw-timestamp'
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+/**
+ * Webhook adapter for scripts and services (CI, home automation, ...)
+ * - POST /webhook with JSON { chatId, text, image?: { data, mediaType }, mode?: 'sync' | 'async' }
+ * - Requests and replies are signed: X-OpenClaw-Signature = sha256=HMAC(secret, `${timestamp}.${body}`),
+ *   with the timestamp (ms) in X-OpenClaw-Timestamp
+ * - sync: the response body carries the agent's replies once the run finishes
+ * - async: responds 202 right away, then POSTs each reply (and a final 'done' event) to callbackUrl
+ */
+export default class WebhookAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.started = false
+    // chatId -> requests in flight, oldest first (runs for a chat are queued, so replies belong to the oldest)
+    this.inflight = new Map()
+    // signature -> when its timestamp leaves the skew window; each signed request is accepted once
+    this.seenSignatures = new Map()
+  }
+
+  async start() {
+    if (!this.config.secret) {
+      throw new Error('Webhook secret is required (set WEBHOOK_SECRET)')
+    }
+    if (this.config.mode === 'async' && !this.config.callbackUrl) {
+      throw new Error('Webhook callback URL is required for async mode')
+    }
+
+    this.started = true
+    console.log(`[Webhook] Adapter started (POST ${this.path()})`)
+  }
+
+  async stop() {
+    this.started = false
+    this.inflight.clear()
+    this.seenSignatures.clear()
+    console.log('[Webhook] Adapter stopped')
+  }
+
+  path() {
+    const base = this.config.path || '/webhook'
+    return this.config.account ? `${base}/${this.config.account}` : base
+  }
+
+  getHttpRoutes() {
+    return {
+      [this.path()]: {
+        request: (req, res) => this.handleRequest(req, res)
+      }
+    }
+  }
+
+  sign(timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', this.config.secret).update(`${timestamp}.${body}`).digest('hex')
+  }
+
+  /**
+   * Constant-time signature check. Stale timestamps are rejected, and signatures seen within
+   * the skew window are remembered so a captured request can't be replayed.
+   */
+  verifySignature(timestamp, body, signature) {
+    if (!timestamp || !signature) return false
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) return false
+
+    const expected = Buffer.from(this.sign(timestamp, body))
+    const actual = Buffer.from(String(signature))
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return false
+
+    for (const [seen, expiresAt] of this.seenSignatures) {
+      if (expiresAt < Date.now()) this.seenSignatures.delete(seen)
+    }
+    if (this.seenSignatures.has(expected.toString())) {
+      console.log('[Security] Blocked replayed webhook request')
+      return false
+    }
+    this.seenSignatures.set(expected.toString(), Number(timestamp) + MAX_CLOCK_SKEW_MS)
+    return true
+  }
+
+  /**
+   * Send a signed JSON response
+   */
+  respond(res, status, payload) {
+    const body = JSON.stringify(payload)
+    const timestamp = String(Date.now())
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-OpenClaw-Timestamp': timestamp,
+      'X-OpenClaw-Signature': this.sign(timestamp, body)
+    })
+    res.end(body)
+  }
+
+  /**
+   * POST a signed event to the callback URL, retrying a few times on failure
+   */
+  async deliver(payload) {
+    const body = JSON.stringify(payload)
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const timestamp = String(Date.now())
+      try {
+        const res = await fetch(this.config.callbackUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-OpenClaw-Timestamp': timestamp,
+            'X-OpenClaw-Signature': this.sign(timestamp, body)
+          },
+          body
+        })
+        if (res.ok) return
+        console.error(`[Webhook] Callback returned ${res.status} (attempt ${attempt})`)
+      } catch (err) {
+        console.error(`[Webhook] Callback failed (attempt ${attempt}):`, err.message)
+      }
+      if (attempt < 3) await new Promise(r => setTimeout(r, attempt * 2000))
+    }
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, markdown: 'markdown' }
+  }
+
+  /**
+   * Replies go to the oldest request in flight for the chat; with none (cron, send_message)
+   * they're pushed to the callback URL if one is configured
+   */
+  async sendMessage(chatId, text) {
+    if (!this.started) {
+      throw new Error('Webhook not started')
+    }
+
+    const request = this.inflight.get(chatId)?.[0]
+    if (request?.mode === 'sync') {
+      request.replies.push(text)
+      return
+    }
+
+    if (!this.config.callbackUrl) {
+      throw new Error(`No pending webhook request for ${chatId} and no callback URL configured`)
+    }
+    await this.deliver({ type: 'message', chatId, requestId: request?.id || null, text })
+  }
+
+  /**
+   * A sync caller only sees replies once the run finishes, so it can't answer approval prompts mid-run
+   */
+  canAwaitReply(chatId) {
+    return this.inflight.get(chatId)?.[0]?.mode !== 'sync'
+  }
+
+  async handleRequest(req, res) {
+    if (req.method !== 'POST') {
+      this.respond(res, 405, { error: 'Method not allowed' })
+      return
+    }
+
+    let body
+    try {
+      body = await this.readBody(req, this.config.maxBodyBytes || 10 * 1024 * 1024)
+    } catch (err) {
+      this.respond(res, 413, { error: err.message })
+      return
+    }
+
+    if (!this.verifySignature(req.headers[TIMESTAMP_HEADER], body, req.headers[SIGNATURE_HEADER])) {
+      console.log('[Security] Blocked webhook request (bad or missing signature)')
+      this.respond(res, 401, { error: 'Invalid signature' })
+      return
+    }
+
+    let payload
+    try {
+      payload = JSON.parse(body)
+    } catch (err) {
+      this.respond(res, 400, { error: 'Body must be JSON' })
+      return
+    }
+
+    const { chatId, image } = payload
+    const text = typeof payload.text === 'string' ? payload.text.trim() : ''
+    const mode = payload.mode || this.config.mode || 'sync'
+
+    if (typeof chatId !== 'string' || !/^[\w.:@-]{1,128}$/.test(chatId)) {
+      this.respond(res, 400, { error: 'chatId must be 1-128 characters of letters, digits, and . : @ _ -' })
+      return
+    }
+    if (mode !== 'sync' && mode !== 'async') {
+      this.respond(res, 400, { error: "mode must be 'sync' or 'async'" })
+      return
+    }
+    if (mode === 'async' && !this.config.callbackUrl) {
+      this.respond(res, 400, { error: 'Async mode needs a callback URL configured' })
+      return
+    }
+    if (image && (!image.data || !/^image\/(png|jpeg|gif|webp)$/.test(image.mediaType))) {
+      this.respond(res, 400, { error: 'image must be { data: base64, mediaType: image/png|jpeg|gif|webp }' })
+      return
+    }
+    if (!text && !image) {
+      this.respond(res, 400, { error: 'text or image is required' })
+      return
+    }
+
+    const message = {
+      chatId,
+      text: text || '[Image]',
+      isGroup: false,
+      sender: chatId,
+      mentions: [],
+      image: image ? { data: image.data, mediaType: image.mediaType } : null,
+      raw: payload
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      this.respond(res, 403, { error: 'chatId not allowed' })
+      return
+    }
+
+    const request = { id: crypto.randomUUID(), mode, replies: [] }
+    if (!this.inflight.has(chatId)) this.inflight.set(chatId, [])
+    this.inflight.get(chatId).push(request)
+
+    if (mode === 'async') {
+      this.respond(res, 202, { requestId: request.id, chatId })
+    }
+
+    // The gateway handles run errors itself (the caller gets an apology as a reply)
+    try {
+      await this.emitMessage(message)
+    } finally {
+      const pending = this.inflight.get(chatId)
+      if (pending) {
+        pending.splice(pending.indexOf(request), 1)
+        if (pending.length === 0) this.inflight.delete(chatId)
+      }
+    }
+
+    if (mode === 'sync') {
+      this.respond(res, 200, { requestId: request.id, chatId, replies: request.replies })
+    } else {
+      await this.deliver({ type: 'done', chatId, requestId: request.id })
+    }
+  }
+}
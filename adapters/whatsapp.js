@@ -6,16 +6,18 @@ import makeWASocket, {
 } from '@whiskeysockets/baileys'
 import qrcode from 'qrcode-terminal'
 import pino from 'pino'
+import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import BaseAdapter from './base.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const AUTH_DIR = path.join(__dirname, '..', 'auth_whatsapp')
+const DEFAULT_MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024
 
 /**
  * WhatsApp adapter using Baileys
- * Supports text and image messages
+ * Supports text and image messages; documents, videos and voice notes are saved to the workspace inbox
  */
 export default class WhatsAppAdapter extends BaseAdapter {
   constructor(config) {
@@ -25,7 +27,14 @@ export default class WhatsAppAdapter extends BaseAdapter {
     this.myLid = null
     this.jidMap = new Map()
     this.latestQr = null
+    this.socketListeners = [] // [event, handler] pairs registered on the current socket
+    this.reconnectTimer = null
+    this.reconnectAttempts = 0
+    this.qrRefreshes = 0
+    this.stopping = false
     this.sentMessageIds = new Set()
+    // Extra accounts keep their credentials in a folder of their own inside auth_whatsapp/
+    this.authDir = config.authDir || (config.account ? path.join(AUTH_DIR, config.account) : AUTH_DIR)
     // LID↔phone bidirectional maps (populated from contacts events)
     this.lidToPhone = new Map()
     this.phoneToLid = new Map()
@@ -38,78 +47,43 @@ export default class WhatsAppAdapter extends BaseAdapter {
   }
 
   async start() {
-    const { state, saveCreds } = await useMultiFileAuthState(AUTH_DIR)
+    this.stopping = false
+    this.reconnectAttempts = 0
+    this.qrRefreshes = 0
+    await this.connect()
+    console.log('[WhatsApp] Adapter starting...')
+  }
+
+  /**
+   * Open a socket with the saved credentials (without any, a QR code is shown for pairing).
+   * The previous socket is torn down first so its listeners don't fire alongside the new one's.
+   */
+  async connect() {
+    this.teardownSocket()
+    this.emitConnectionState('connecting')
+
+    const { state, saveCreds } = await useMultiFileAuthState(this.authDir)
     const { version } = await fetchLatestBaileysVersion()
 
     const logger = pino({ level: 'silent' })
 
-    this.sock = makeWASocket({
+    const sock = makeWASocket({
       version,
       auth: state,
       logger,
       printQRInTerminal: false,
       generateHighQualityLinkPreview: false
     })
+    this.sock = sock
 
-    this.sock.ev.on('connection.update', (update) => {
-      const { connection, lastDisconnect, qr } = update
-
-      if (qr) {
-        this.latestQr = qr
-        console.log('\n[WhatsApp] Scan QR code to connect:')
-        qrcode.generate(qr, { small: true })
-      }
-
-      if (connection === 'close') {
-        const statusCode = lastDisconnect?.error?.output?.statusCode
-
-        console.log(`[WhatsApp] Connection closed. Status: ${statusCode}`)
-
-        if (statusCode === DisconnectReason.loggedOut) {
-          console.log('[WhatsApp] Logged out. Please delete auth folder and restart.')
-        } else if (this.myJid) {
-          console.log('[WhatsApp] Reconnecting...')
-          this.start()
-        } else {
-          console.log('[WhatsApp] QR code expired. Restart to try again.')
-        }
-      }
-
-      if (connection === 'open') {
-        this.latestQr = null
-        this.myJid = this.sock.user?.id
-        this.myLid = this.sock.user?.lid || null
-        console.log(`[WhatsApp] Connected as ${this.myJid} (LID: ${this.myLid})`)
-
-        // Always allow messaging yourself (self-DM) — add both phone JID and LID formats
-        if (!this.config.allowedDMs.includes('*')) {
-          if (this.myJid) {
-            const selfJid = this.myJid.replace(/:.*@/, '@')
-            if (!this.config.allowedDMs.includes(selfJid)) {
-              this.config.allowedDMs.push(selfJid)
-              console.log(`[WhatsApp] Auto-allowed self-DM (phone): ${selfJid}`)
-            }
-          }
-          if (this.myLid) {
-            const selfLid = this.myLid.replace(/:.*@/, '@')
-            if (!this.config.allowedDMs.includes(selfLid)) {
-              this.config.allowedDMs.push(selfLid)
-              console.log(`[WhatsApp] Auto-allowed self-DM (LID): ${selfLid}`)
-            }
-          }
-        }
-
-        // Seed own LID↔phone mapping
-        if (this.myJid && this.myLid) {
-          this._mapContact(this.myJid, this.myLid)
-        }
+    const on = (event, handler) => {
+      sock.ev.on(event, handler)
+      this.socketListeners.push([event, handler])
+    }
 
-        // Resolve allowlisted phone numbers to LIDs
-        this._resolveAllowlist()
-      }
-    })
+    on('connection.update', (update) => this.handleConnectionUpdate(update, state.creds))
 
-    this.sock.ev.on('creds.update', saveCreds)
+    on('creds.update', saveCreds)
 
     // Learn LID↔phone mappings from all contact-related events
     const learnContacts = (contacts) => {
@@ -119,47 +93,260 @@ export default class WhatsAppAdapter extends BaseAdapter {
       }
       if (learned) console.log(`[WhatsApp] Learned ${learned} contacts (total map: ${this.lidToPhone.size})`)
     }
-    this.sock.ev.on('contacts.upsert', learnContacts)
-    this.sock.ev.on('contacts.update', learnContacts)
+    on('contacts.upsert', learnContacts)
+    on('contacts.update', learnContacts)
     // History sync (fires on first connect, has contacts with both id+lid)
-    this.sock.ev.on('messaging-history.set', ({ contacts }) => {
+    on('messaging-history.set', ({ contacts }) => {
       if (contacts?.length) learnContacts(contacts)
     })
 
-    this.sock.ev.on('messages.upsert', async ({ messages, type }) => {
+    on('messages.upsert', async ({ messages, type }) => {
       if (type !== 'notify') return
 
       for (const msg of messages) {
         await this.handleMessage(msg)
       }
     })
+  }
 
-    console.log('[WhatsApp] Adapter starting...')
+  /**
+   * Delete the saved credentials. Only files are removed, so other accounts' folders inside survive.
+   */
+  clearCredentials() {
+    try {
+      for (const entry of fs.readdirSync(this.authDir, { withFileTypes: true })) {
+        if (entry.isFile()) fs.rmSync(path.join(this.authDir, entry.name), { force: true })
+      }
+    } catch (err) {
+      // Ignore
+    }
   }
 
-  async stop() {
-    if (this.sock) {
-      this.sock.end()
-      this.sock = null
+  /**
+   * Remove our listeners from the current socket and close it
+   */
+  teardownSocket() {
+    if (!this.sock) return
+    for (const [event, handler] of this.socketListeners) {
+      this.sock.ev.off(event, handler)
+    }
+    this.socketListeners = []
+    try {
+      this.sock.end(undefined)
+    } catch (err) {
+      // Ignore
+    }
+    this.sock = null
+  }
+
+  /**
+   * Connection state machine: QR codes are surfaced as they rotate, a dropped connection is retried
+   * with backoff, and pairing starts over when the QR codes run out or the device is logged out
+   */
+  handleConnectionUpdate(update, creds) {
+    const { connection, lastDisconnect, qr } = update
+
+    if (qr) {
+      this.latestQr = qr
+      console.log('\n[WhatsApp] Scan QR code to connect:')
+      qrcode.generate(qr, { small: true })
+      this.emitConnectionState('qr')
+    }
+
+    if (connection === 'close') {
+      const statusCode = lastDisconnect?.error?.output?.statusCode
+
+      console.log(`[WhatsApp] Connection closed. Status: ${statusCode}`)
+      this.latestQr = null
+      this.teardownSocket()
+      if (this.stopping) return
+
+      if (statusCode === DisconnectReason.loggedOut) {
+        // The saved credentials are dead; drop them so the next connection shows a fresh QR code
+        console.log('[WhatsApp] Logged out. Clearing credentials, scan the new QR code to link again.')
+        this.clearCredentials()
+        this.myJid = null
+        this.myLid = null
+        this.emitConnectionState('logged_out')
+        this.scheduleReconnect(true)
+      } else if (statusCode === DisconnectReason.restartRequired) {
+        // Expected right after scanning the QR code
+        this.scheduleReconnect(true)
+      } else if (!creds.me) {
+        // Not paired yet: every QR code of this connection expired
+        const maxRefreshes = this.config.maxQrRefreshes ?? 5
+        if (this.qrRefreshes >= maxRefreshes) {
+          console.log('[WhatsApp] QR code expired. Open /qr to get a new one.')
+          this.emitConnectionState('qr_expired')
+          return
+        }
+        this.qrRefreshes++
+        this.scheduleReconnect(true)
+      } else {
+        this.scheduleReconnect()
+      }
     }
+
+    if (connection === 'open') {
+      this.latestQr = null
+      this.reconnectAttempts = 0
+      this.qrRefreshes = 0
+      this.myJid = this.sock.user?.id
+      this.myLid = this.sock.user?.lid || null
+      console.log(`[WhatsApp] Connected as ${this.myJid} (LID: ${this.myLid})`)
+
+      // Always allow messaging yourself (self-DM) — add both phone JID and LID formats
+      if (!this.config.allowedDMs.includes('*')) {
+        if (this.myJid) {
+          const selfJid = this.myJid.replace(/:.*@/, '@')
+          if (!this.config.allowedDMs.includes(selfJid)) {
+            this.config.allowedDMs.push(selfJid)
+            console.log(`[WhatsApp] Auto-allowed self-DM (phone): ${selfJid}`)
+          }
+        }
+        if (this.myLid) {
+          const selfLid = this.myLid.replace(/:.*@/, '@')
+          if (!this.config.allowedDMs.includes(selfLid)) {
+            this.config.allowedDMs.push(selfLid)
+            console.log(`[WhatsApp] Auto-allowed self-DM (LID): ${selfLid}`)
+          }
+        }
+      }
+
+      // Seed own LID↔phone mapping
+      if (this.myJid && this.myLid) {
+        this._mapContact(this.myJid, this.myLid)
+      }
+
+      // Resolve allowlisted phone numbers to LIDs
+      this._resolveAllowlist()
+
+      this.emitConnectionState('open', { jid: this.myJid })
+    }
+  }
+
+  /**
+   * Reconnect after a delay that doubles with each attempt (with jitter, so restarts don't
+   * synchronize), giving up after reconnect.maxAttempts
+   * @param {boolean} immediate - Reconnect right away without counting an attempt
+   */
+  scheduleReconnect(immediate = false) {
+    const { baseDelayMs = 2000, maxDelayMs = 5 * 60 * 1000, maxAttempts = 10 } = this.config.reconnect || {}
+
+    let delay = 0
+    if (!immediate) {
+      if (this.reconnectAttempts >= maxAttempts) {
+        console.error(`[WhatsApp] Giving up after ${maxAttempts} reconnect attempts`)
+        this.emitConnectionState('failed', { attempts: this.reconnectAttempts })
+        return
+      }
+      this.reconnectAttempts++
+      const ceiling = Math.min(baseDelayMs * 2 ** (this.reconnectAttempts - 1), maxDelayMs)
+      delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+      console.log(`[WhatsApp] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts}/${maxAttempts})...`)
+      this.emitConnectionState('reconnecting', { attempt: this.reconnectAttempts, delayMs: delay })
+    }
+
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      if (this.stopping) return
+      this.connect().catch((err) => {
+        console.error('[WhatsApp] Reconnect failed:', err.message)
+        this.scheduleReconnect()
+      })
+    }, delay)
+  }
+
+  /**
+   * Start pairing (or reconnecting) again once the QR codes ran out or the attempts were used up.
+   * Called when someone presses the button on the /qr page.
+   */
+  requestQr() {
+    if (this.stopping || this.sock || this.reconnectTimer) return
+    console.log('[WhatsApp] New QR code requested')
+    this.qrRefreshes = 0
+    this.reconnectAttempts = 0
+    this.scheduleReconnect(true)
+  }
+
+  async stop() {
+    this.stopping = true
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    this.teardownSocket()
+    this.emitConnectionState('closed')
     console.log('[WhatsApp] Adapter stopped')
   }
 
+  get capabilities() {
+    return { ...super.capabilities, markdown: 'whatsapp', reactions: true, files: true }
+  }
+
   async sendMessage(chatId, text) {
     if (!this.sock) {
       throw new Error('WhatsApp not connected')
     }
 
     const targetJid = this.jidMap?.get(chatId) || chatId
-    const sentMsg = await this.sock.sendMessage(targetJid, { text })
+    const sentMsg = await this.sock.sendMessage(targetJid, { text: this.formatMessage(text)[0] })
+    this.trackSent(sentMsg)
+  }
 
-    // Track sent message ID so we can filter out our own echoes in self-DMs
+  /**
+   * Track a sent message ID so we can filter out our own echoes in self-DMs
+   */
+  trackSent(sentMsg) {
     if (sentMsg?.key?.id) {
       this.sentMessageIds.add(sentMsg.key.id)
       setTimeout(() => this.sentMessageIds.delete(sentMsg.key.id), 10000)
     }
   }
 
+  /**
+   * Send a file from disk: images and videos are shown inline, audio as a playable clip,
+   * anything else as a document
+   */
+  async sendFile(chatId, filepath, caption = '') {
+    if (!this.sock) {
+      throw new Error('WhatsApp not connected')
+    }
+
+    const targetJid = this.jidMap?.get(chatId) || chatId
+    const mimetype = this.mimeTypeFor(filepath)
+    const media = { url: filepath }
+
+    let content
+    if (/^image\/(png|jpeg|webp)$/.test(mimetype)) {
+      content = { image: media, caption }
+    } else if (mimetype.startsWith('video/')) {
+      content = { video: media, caption, mimetype }
+    } else if (mimetype.startsWith('audio/')) {
+      content = { audio: media, mimetype }
+    } else {
+      content = { document: media, mimetype, fileName: path.basename(filepath), caption }
+    }
+
+    this.trackSent(await this.sock.sendMessage(targetJid, content))
+    // Audio messages can't carry a caption
+    if (content.audio && caption) {
+      await this.sendMessage(chatId, caption)
+    }
+  }
+
+  async sendImage(chatId, image, caption = '') {
+    if (!this.sock) {
+      throw new Error('WhatsApp not connected')
+    }
+
+    const targetJid = this.jidMap?.get(chatId) || chatId
+    this.trackSent(await this.sock.sendMessage(targetJid, {
+      image: Buffer.from(image.data, 'base64'),
+      mimetype: image.mediaType,
+      caption
+    }))
+  }
+
   async sendTyping(chatId) {
     if (!this.sock) return
     try {
@@ -190,9 +377,9 @@ export default class WhatsAppAdapter extends BaseAdapter {
   }
 
   /**
-   * Download image from message
+   * Download the media (image, document, audio, video) of a message
    */
-  async downloadImage(msg) {
+  async downloadMedia(msg) {
     try {
       const buffer = await downloadMediaMessage(
         msg,
@@ -205,11 +392,49 @@ export default class WhatsAppAdapter extends BaseAdapter {
       )
       return buffer
     } catch (err) {
-      console.error('[WhatsApp] Failed to download image:', err.message)
+      console.error('[WhatsApp] Failed to download media:', err.message)
       return null
     }
   }
 
+  /**
+   * Save a document, video or audio message to the chat's inbox folder
+   * @returns {string} A note for the agent with the saved path and type, or why the file was skipped
+   */
+  async saveAttachment(msg, chatId) {
+    // Documents sent with a caption are wrapped one level deeper
+    const wrapped = msg.message?.documentWithCaptionMessage?.message
+    const content = wrapped || msg.message
+    const media = content.documentMessage || content.videoMessage || content.audioMessage
+    const mimeType = media.mimetype?.split(';')[0] || 'application/octet-stream'
+    const size = Number(media.fileLength?.toString() || 0)
+    const maxBytes = this.config.maxDownloadBytes || DEFAULT_MAX_DOWNLOAD_BYTES
+
+    let kind = 'File'
+    let name = 'document'
+    if (content.videoMessage) {
+      kind = `Video (${media.seconds || 0}s)`
+      name = 'video'
+    } else if (content.audioMessage) {
+      kind = media.ptt ? `Voice message (${media.seconds || 0}s)` : 'Audio file'
+      name = media.ptt ? 'voice' : 'audio'
+    }
+    const filename = media.fileName || `${name}.${mimeType.split('/')[1] || 'bin'}`
+
+    if (size > maxBytes) {
+      return `[${kind} "${filename}" was not downloaded: ${Math.ceil(size / 1024 / 1024)} MB is over the ${Math.floor(maxBytes / 1024 / 1024)} MB limit]`
+    }
+
+    const buffer = await this.downloadMedia(wrapped ? { ...msg, message: wrapped } : msg)
+    if (!buffer) {
+      return `[${kind} "${filename}" could not be downloaded]`
+    }
+
+    const filepath = this.saveIncomingFile(this.platform, chatId, filename, buffer)
+    console.log(`[WhatsApp] ${kind} saved to ${filepath}`)
+    return `[${kind} saved to ${filepath} (${mimeType}, ${Math.ceil(buffer.length / 1024)} KB)]`
+  }
+
   /**
    * At connection time, resolve allowlisted phone numbers to their LIDs
    * so we can match incoming LID-based messages against the phone allowlist.
@@ -296,16 +521,28 @@ export default class WhatsAppAdapter extends BaseAdapter {
       msg.message?.extendedTextMessage?.text ||
       msg.message?.imageMessage?.caption ||
       msg.message?.videoMessage?.caption ||
+      msg.message?.documentMessage?.caption ||
+      msg.message?.documentWithCaptionMessage?.message?.documentMessage?.caption ||
       ''
 
     // Extract mentions (needed for group mention-gating)
-    const mentions = msg.message?.extendedTextMessage?.contextInfo?.mentionedJid || []
+    const contextInfo = msg.message?.extendedTextMessage?.contextInfo ||
+      msg.message?.imageMessage?.contextInfo ||
+      msg.message?.videoMessage?.contextInfo ||
+      msg.message?.documentMessage?.contextInfo ||
+      msg.message?.audioMessage?.contextInfo
+    const mentions = contextInfo?.mentionedJid || []
     const myNumber = this.myJid?.split('@')[0]?.split(':')[0]
     const myLidNumber = this.myLid?.split('@')[0]?.split(':')[0]
-    const isMentioned = mentions.some(m => {
-      const mBase = m.split('@')[0]?.split(':')[0]
+    const isMe = (m) => {
+      const mBase = m?.split('@')[0]?.split(':')[0]
       return (myNumber && mBase === myNumber) || (myLidNumber && mBase === myLidNumber)
-    })
+    }
+
+    // A reply to one of our messages counts as a mention
+    const quoted = contextInfo?.quotedMessage
+    const isReplyToMe = !!quoted && isMe(contextInfo.participant)
+    const isMentioned = mentions.some(isMe) || isReplyToMe
 
     // Group mention-only gating — bail before downloading images
     if (isGroup && this.config.respondToMentionsOnly && !isMentioned) {
@@ -316,7 +553,7 @@ export default class WhatsAppAdapter extends BaseAdapter {
     let image = null
     if (msg.message?.imageMessage) {
       console.log('[WhatsApp] Downloading image...')
-      const buffer = await this.downloadImage(msg)
+      const buffer = await this.downloadMedia(msg)
       if (buffer) {
         image = {
           data: buffer.toString('base64'),
@@ -329,6 +566,13 @@ export default class WhatsAppAdapter extends BaseAdapter {
       }
     }
 
+    // Documents, videos and voice notes go to the inbox; the agent gets the path
+    const m = msg.message
+    if (m?.documentMessage || m?.documentWithCaptionMessage || m?.videoMessage || m?.audioMessage) {
+      const note = await this.saveAttachment(msg, jid)
+      text = [text, note].filter(Boolean).join('\n')
+    }
+
     if (!text && !image) return
 
     this.emitMessage({
@@ -338,6 +582,17 @@ export default class WhatsAppAdapter extends BaseAdapter {
       sender,
       mentions: isMentioned ? ['self'] : mentions,
       image,
+      replyTo: quoted
+        ? {
+            text: quoted.conversation ||
+              quoted.extendedTextMessage?.text ||
+              quoted.imageMessage?.caption ||
+              quoted.videoMessage?.caption ||
+              (quoted.imageMessage ? '[Image]' : ''),
+            sender: contextInfo.participant,
+            fromBot: isReplyToMe
+          }
+        : null,
       raw: msg
     })
   }
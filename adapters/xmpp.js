@@ -0,0 +1,430 @@
+import { client, xml, jid } from '@xmpp/client'
+import crypto from 'crypto'
+import dns from 'dns'
+import fs from 'fs'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import path from 'path'
+import BaseAdapter from './base.js'
+
+const NS_MUC = 'http://jabber.org/protocol/muc'
+const NS_CHATSTATES = 'http://jabber.org/protocol/chatstates'
+const NS_DELAY = 'urn:xmpp:delay'
+const NS_OOB = 'jabber:x:oob'
+const NS_DISCO_INFO = 'http://jabber.org/protocol/disco#info'
+const NS_DISCO_ITEMS = 'http://jabber.org/protocol/disco#items'
+const NS_UPLOAD = 'urn:xmpp:http:upload:0'
+
+const DOWNLOAD_TIMEOUT_MS = 30000
+const DEFAULT_MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024
+
+// Addresses an image link must not point at, so a sender can't make us fetch from our own network
+const PRIVATE_RANGES = new net.BlockList()
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+}
+
+const isPrivateAddress = ({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+
+/**
+ * dns.lookup for http.get that refuses private addresses, so the address checked is the one connected to
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err)
+    if (addresses.some(isPrivateAddress)) return callback(new Error(`${hostname} is a private address`))
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * XMPP adapter using xmpp.js
+ * 1:1 chats are DMs; the multi-user chat rooms in allowedGroups are joined on connect.
+ * Images go both ways via HTTP File Upload (XEP-0363) links with an OOB (XEP-0066) tag.
+ */
+export default class XmppAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config)
+    this.client = null
+    this.myJid = null
+    this.rooms = new Set() // bare room JIDs we've joined
+    this.uploadService = undefined // JID of the HTTP upload component; null if the server has none
+  }
+
+  async start() {
+    if (!this.config.service || !this.config.username || !this.config.password) {
+      throw new Error('XMPP service, username and password are required')
+    }
+
+    this.client = client({
+      service: this.config.service,
+      domain: this.config.domain || undefined,
+      resource: this.config.resource || 'openclaw',
+      username: this.config.username,
+      password: this.config.password
+    })
+
+    this.client.on('error', (err) => {
+      console.error('[XMPP] Error:', err.message)
+    })
+
+    this.client.on('offline', () => {
+      console.log('[XMPP] Offline')
+    })
+
+    this.client.on('stanza', async (stanza) => {
+      if (stanza.is('message')) {
+        await this.handleMessage(stanza)
+      }
+    })
+
+    // Fires again after every automatic reconnect, so presence and room joins are redone
+    this.client.on('online', async (address) => {
+      this.myJid = address
+      await this.client.send(xml('presence'))
+      await this.joinRooms()
+      console.log(`[XMPP] Online as ${address.toString()}`)
+    })
+
+    try {
+      await this.client.start()
+    } catch (err) {
+      // Don't leave the reconnect loop running after a failed first connection
+      await this.client.stop().catch(() => {})
+      this.client = null
+      throw err
+    }
+    console.log('[XMPP] Adapter started')
+  }
+
+  async stop() {
+    if (this.client) {
+      try {
+        await this.client.send(xml('presence', { type: 'unavailable' }))
+        await this.client.stop()
+      } catch (err) {
+        // Ignore
+      }
+      this.client = null
+    }
+    this.rooms.clear()
+    console.log('[XMPP] Adapter stopped')
+  }
+
+  get roomNick() {
+    return this.config.nick || this.config.username
+  }
+
+  /**
+   * Join every room in allowedGroups without requesting history
+   */
+  async joinRooms() {
+    for (const room of this.config.allowedGroups || []) {
+      if (room === '*') continue
+      await this.client.send(
+        xml('presence', { to: `${room}/${this.roomNick}` },
+          xml('x', { xmlns: NS_MUC }, xml('history', { maxstanzas: '0' }))
+        )
+      )
+      this.rooms.add(room)
+      console.log(`[XMPP] Joining ${room} as ${this.roomNick}`)
+    }
+  }
+
+  messageType(chatId) {
+    return this.rooms.has(chatId) ? 'groupchat' : 'chat'
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, markdown: 'whatsapp', files: true }
+  }
+
+  async sendMessage(chatId, text) {
+    if (!this.client) {
+      throw new Error('XMPP not connected')
+    }
+
+    await this.client.send(
+      xml('message', { to: chatId, type: this.messageType(chatId), id: crypto.randomUUID() },
+        xml('body', {}, this.formatMessage(text)[0]),
+        xml('active', { xmlns: NS_CHATSTATES })
+      )
+    )
+  }
+
+  /**
+   * Upload an image through the server's HTTP upload service and share the link
+   * @param {string} chatId - Bare JID of the contact or room
+   * @param {Object} image - { data: base64, mediaType }
+   * @param {string} [caption] - Sent as a separate message after the image
+   */
+  async sendImage(chatId, image, caption = '') {
+    if (!this.client) {
+      throw new Error('XMPP not connected')
+    }
+
+    const buffer = Buffer.from(image.data, 'base64')
+    const extension = image.mediaType.split('/')[1]?.replace('jpeg', 'jpg') || 'bin'
+    const url = await this.uploadFile(buffer, `image-${Date.now()}.${extension}`, image.mediaType)
+    await this.sendLink(chatId, url)
+
+    if (caption) {
+      await this.sendMessage(chatId, caption)
+    }
+  }
+
+  /**
+   * Upload a file and share the link (images are rendered inline by most clients)
+   */
+  async sendFile(chatId, filepath, caption = '') {
+    if (!this.client) {
+      throw new Error('XMPP not connected')
+    }
+
+    const buffer = fs.readFileSync(filepath)
+    const url = await this.uploadFile(buffer, path.basename(filepath), this.mimeTypeFor(filepath))
+    await this.sendLink(chatId, url)
+
+    if (caption) {
+      await this.sendMessage(chatId, caption)
+    }
+  }
+
+  /**
+   * Share an uploaded file's URL; clients render images inline when the body is exactly the OOB URL
+   */
+  async sendLink(chatId, url) {
+    await this.client.send(
+      xml('message', { to: chatId, type: this.messageType(chatId), id: crypto.randomUUID() },
+        xml('body', {}, url),
+        xml('x', { xmlns: NS_OOB }, xml('url', {}, url))
+      )
+    )
+  }
+
+  /**
+   * Find the server's HTTP upload component (cached after the first lookup)
+   */
+  async findUploadService() {
+    if (this.uploadService !== undefined) return this.uploadService
+
+    const domain = this.myJid.domain
+    const supportsUpload = async (to) => {
+      const info = await this.client.iqCaller.request(
+        xml('iq', { type: 'get', to }, xml('query', { xmlns: NS_DISCO_INFO }))
+      )
+      return info.getChild('query').getChildren('feature').some(f => f.attrs.var === NS_UPLOAD)
+    }
+
+    this.uploadService = null
+    if (await supportsUpload(domain)) {
+      this.uploadService = domain
+    } else {
+      const items = await this.client.iqCaller.request(
+        xml('iq', { type: 'get', to: domain }, xml('query', { xmlns: NS_DISCO_ITEMS }))
+      )
+      for (const item of items.getChild('query').getChildren('item')) {
+        try {
+          if (await supportsUpload(item.attrs.jid)) {
+            this.uploadService = item.attrs.jid
+            break
+          }
+        } catch (err) {
+          // Component didn't answer disco#info
+        }
+      }
+    }
+    return this.uploadService
+  }
+
+  /**
+   * Request an upload slot, PUT the file and return its public GET URL
+   */
+  async uploadFile(buffer, filename, contentType) {
+    const service = await this.findUploadService()
+    if (!service) {
+      throw new Error('Server does not offer HTTP file upload')
+    }
+
+    const result = await this.client.iqCaller.request(
+      xml('iq', { type: 'get', to: service },
+        xml('request', { xmlns: NS_UPLOAD, filename, size: String(buffer.length), 'content-type': contentType })
+      )
+    )
+    const slot = result.getChild('slot', NS_UPLOAD)
+    const put = slot.getChild('put')
+    const getUrl = slot.getChild('get').attrs.url
+
+    const headers = { 'Content-Type': contentType }
+    for (const header of put.getChildren('header')) {
+      // The spec only allows these to be passed through
+      if (['Authorization', 'Cookie', 'Expires'].includes(header.attrs.name)) {
+        headers[header.attrs.name] = header.text()
+      }
+    }
+
+    const res = await fetch(put.attrs.url, { method: 'PUT', headers, body: buffer })
+    if (!res.ok) {
+      throw new Error(`Upload failed: HTTP ${res.status}`)
+    }
+    return getUrl
+  }
+
+  async sendChatState(chatId, state) {
+    if (!this.client) return
+    try {
+      await this.client.send(
+        xml('message', { to: chatId, type: this.messageType(chatId) }, xml(state, { xmlns: NS_CHATSTATES }))
+      )
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  async sendTyping(chatId) {
+    await this.sendChatState(chatId, 'composing')
+  }
+
+  async stopTyping(chatId) {
+    await this.sendChatState(chatId, 'active')
+  }
+
+  /**
+   * DMs are allowlisted by bare JID, rooms by room JID
+   */
+  shouldRespond(message, config) {
+    const chatId = message.isGroup ? message.chatId : message.sender
+    return super.shouldRespond({ ...message, chatId }, config)
+  }
+
+  /**
+   * Our room nick as a word anywhere in the body (XMPP clients insert it on tab-complete)
+   */
+  isMentioned(text) {
+    const nick = this.roomNick.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return new RegExp(`(^|\\W)${nick}($|\\W)`, 'i').test(text)
+  }
+
+  stripMention(text) {
+    const nick = this.roomNick.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return text.replace(new RegExp(`^${nick}[:,]?\\s*`, 'i'), '').trim()
+  }
+
+  /**
+   * Download an image shared as an OOB link (what HTTP upload clients send).
+   * Only http(s), no redirects, and at most maxDownloadBytes. Private addresses are refused
+   * unless the host is in trustedHosts or is the server's own HTTP upload service.
+   */
+  async downloadImage(url) {
+    const maxBytes = this.config.maxDownloadBytes || DEFAULT_MAX_DOWNLOAD_BYTES
+    const tooLarge = `image is over the ${Math.floor(maxBytes / 1024 / 1024)} MB limit`
+    try {
+      const target = new URL(url)
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        throw new Error(`unsupported protocol ${target.protocol}`)
+      }
+
+      const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+      const uploadService = await this.findUploadService().catch(() => null)
+      const trusted = host === uploadService?.toLowerCase() ||
+        (this.config.trustedHosts || []).some(entry => entry.toLowerCase() === host)
+      // IP literals never reach the lookup, so check them here
+      if (!trusted && net.isIP(host) && isPrivateAddress({ address: host, family: net.isIP(host) })) {
+        throw new Error(`${host} is a private address`)
+      }
+
+      const res = await new Promise((resolve, reject) => {
+        const client = target.protocol === 'https:' ? https : http
+        const options = { lookup: trusted ? undefined : publicLookup, signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) }
+        client.get(target, options, resolve).on('error', reject)
+      })
+      const mediaType = res.headers['content-type']?.split(';')[0]
+      // Redirects aren't followed: they could point anywhere
+      if (res.statusCode !== 200 || !mediaType?.startsWith('image/')) {
+        res.resume()
+        return null
+      }
+      if (Number(res.headers['content-length'] || 0) > maxBytes) {
+        res.destroy()
+        throw new Error(tooLarge)
+      }
+
+      // Content-Length can be missing or wrong, so count what actually arrives
+      const chunks = []
+      let size = 0
+      for await (const chunk of res) {
+        size += chunk.length
+        if (size > maxBytes) throw new Error(tooLarge)
+        chunks.push(chunk)
+      }
+      const buffer = Buffer.concat(chunks)
+      console.log('[XMPP] Image downloaded, size:', buffer.length)
+      return { data: buffer.toString('base64'), mediaType }
+    } catch (err) {
+      console.error('[XMPP] Failed to download image:', err.message)
+      return null
+    }
+  }
+
+  async handleMessage(stanza) {
+    const type = stanza.attrs.type || 'normal'
+    if (type !== 'chat' && type !== 'groupchat') return
+
+    const body = stanza.getChildText('body')
+    if (!body) return // chat states, receipts, etc.
+
+    // Skip room history and offline messages replayed on join
+    if (stanza.getChild('delay', NS_DELAY)) return
+
+    const from = jid(stanza.attrs.from)
+    const isGroup = type === 'groupchat'
+    const chatId = from.bare().toString()
+
+    if (isGroup) {
+      // Our own messages are reflected back by the room
+      if (!from.resource || from.resource === this.roomNick) return
+    } else if (chatId === this.myJid?.bare().toString() || this.rooms.has(chatId)) {
+      // Private messages through a room hide the occupant's real JID, so they can't be allowlisted
+      return
+    }
+
+    const oobUrl = stanza.getChild('x', NS_OOB)?.getChildText('url')
+    const isImageLink = !!oobUrl && body.trim() === oobUrl
+
+    const botMentioned = isGroup && this.isMentioned(body)
+    let text = isImageLink ? '' : body
+    if (botMentioned) {
+      text = this.stripMention(text)
+    }
+
+    const message = {
+      chatId,
+      text: text.trim(),
+      isGroup,
+      // Room occupants are only known by nick
+      sender: isGroup ? from.resource : chatId,
+      mentions: botMentioned ? ['self'] : [],
+      image: null,
+      raw: stanza
+    }
+
+    if (!this.shouldRespond(message, this.config)) {
+      return
+    }
+
+    if (isImageLink) {
+      message.image = await this.downloadImage(oobUrl)
+      if (!message.image) return
+      message.text = '[Image]'
+    }
+
+    if (!message.text && !message.image) return
+
+    this.emitMessage(message)
+  }
+}
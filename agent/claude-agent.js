@@ -80,11 +80,13 @@ When the user sends an image, you will receive it in your context. You can:
 - Extract text from images (OCR)
 - Analyze charts, diagrams, screenshots
 
+Several images can arrive together (e.g. a photo album). Other files and voice notes the user sends are saved in the workspace under inbox/, and the message includes their path — use your tools to read or process them.
+
 ## Communication Style
 - Be helpful and conversational
 - Keep responses concise for messaging (avoid walls of text)
-- DO NOT use markdown formatting (no **, \`, #, -, etc.) - messaging platforms don't render it
-- Use plain text only - write naturally without formatting syntax
+- Light markdown is fine (**bold**, *italics*, lists, \`code\`, code blocks, [links](url)) - it's converted to each platform's own formatting, or stripped where there is none
+- Avoid tables and nested lists - most chat apps can't show them
 - Use emoji sparingly and appropriately
 - Remember context from the conversation
 - Proactively use tools when needed
@@ -93,13 +95,14 @@ When the user sends an image, you will receive it in your context. You can:
 ## Available Tools
 Built-in: Read, Write, Edit, Bash, Glob, Grep, TodoWrite, Skill
 Scheduling: mcp__cron__schedule_delayed, mcp__cron__schedule_recurring, mcp__cron__schedule_cron, mcp__cron__list_scheduled, mcp__cron__cancel_scheduled
-Gateway: mcp__gateway__send_message, mcp__gateway__list_platforms, mcp__gateway__get_queue_status, mcp__gateway__get_current_context, mcp__gateway__list_sessions, mcp__gateway__broadcast_message
+Gateway: mcp__gateway__send_message, mcp__gateway__send_file, mcp__gateway__list_platforms, mcp__gateway__get_queue_status, mcp__gateway__get_current_context, mcp__gateway__list_sessions, mcp__gateway__broadcast_message
 AppleScript (macOS): mcp__applescript__run_script, mcp__applescript__list_apps, mcp__applescript__activate_app, mcp__applescript__display_notification
 Composio: Access to 500+ app integrations (Gmail, Slack, GitHub, Google Sheets, etc.) and browser automation via Composio MCP tools
 
 
 ## Gateway Tools
 - \`mcp__gateway__send_message\`: Send a message to any chat on any platform
+- \`mcp__gateway__send_file\`: Send a file from the workspace (charts, PDFs, spreadsheets) to the current chat or any other
 - \`mcp__gateway__list_platforms\`: List connected platforms
 - \`mcp__gateway__get_queue_status\`: Check message queue status
 - \`mcp__gateway__get_current_context\`: Get current platform/chat/session info
@@ -208,6 +211,7 @@ export default class ClaudeAgent extends EventEmitter {
     // Add gateway MCP tools to allowed list
     this.gatewayTools = [
       'mcp__gateway__send_message',
+      'mcp__gateway__send_file',
       'mcp__gateway__list_platforms',
       'mcp__gateway__get_queue_status',
       'mcp__gateway__get_current_context',
@@ -255,20 +259,27 @@ export default class ClaudeAgent extends EventEmitter {
   }
 
   /**
-   * Build prompt - supports images for vision
+   * Build prompt - supports images for vision (one image or an array of them)
+   * and prefixes the quoted message when the user is replying to one
    */
-  buildPrompt(message, image) {
+  buildPrompt(message, image, replyTo = null) {
+    if (replyTo) {
+      const author = replyTo.fromBot ? 'your message' : replyTo.sender ? `a message from ${replyTo.sender}` : 'a message'
+      message = `[Replying to ${author}: "${replyTo.text}"]\n${message}`
+    }
+
     if (!image) return message
 
+    const images = Array.isArray(image) ? image : [image]
     return [
-      {
+      ...images.map(img => ({
         type: 'image',
         source: {
           type: 'base64',
-          media_type: image.mediaType,
-          data: image.data
+          media_type: img.mediaType,
+          data: img.data
         }
-      },
+      })),
       {
         type: 'text',
         text: message
@@ -279,16 +290,24 @@ export default class ClaudeAgent extends EventEmitter {
   /**
    * Generate streaming messages for the SDK
    */
-  async *generateMessages(message, image) {
+  async *generateMessages(message, image, replyTo) {
     yield {
       type: 'user',
       message: {
         role: 'user',
-        content: this.buildPrompt(message, image)
+        content: this.buildPrompt(message, image, replyTo)
       }
     }
   }
 
+  /**
+   * Rebuild the gateway tools for the platforms the gateway has loaded, so their schemas list them
+   * @param {string[]} platforms - Adapter names
+   */
+  setPlatforms(platforms) {
+    this.gatewayMcpServer = createGatewayMcpServer(platforms)
+  }
+
   /**
    * Run the agent for a message
    */
@@ -299,6 +318,7 @@ export default class ClaudeAgent extends EventEmitter {
       platform = 'unknown',
       chatId = null,
       image = null,
+      replyTo = null,
       mcpServers = {},
       canUseTool
     } = params
@@ -333,7 +353,8 @@ export default class ClaudeAgent extends EventEmitter {
       ...mcpServers
     }
 
-    if (image) console.log('[ClaudeAgent] With image attachment')
+    if (Array.isArray(image)) console.log(`[ClaudeAgent] With ${image.length} image attachments`)
+    else if (image) console.log('[ClaudeAgent] With image attachment')
 
     this.emit('run:start', { sessionKey, message, hasImage: !!image })
 
@@ -343,7 +364,7 @@ export default class ClaudeAgent extends EventEmitter {
 
       // Delegate to provider - pass prompt and all options
       const queryParams = {
-        prompt: this.generateMessages(message, image),
+        prompt: this.generateMessages(message, image, replyTo),
         chatId: sessionKey,
         mcpServers: allMcpServers,
         allowedTools: allAllowedTools,
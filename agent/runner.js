@@ -76,8 +76,9 @@ export default class AgentRunner extends EventEmitter {
 
   /**
    * Enqueue a run for a session
+   * @param {Object} [replyTo] - The message being replied to ({ text, sender, fromBot }), if any
    */
-  async enqueueRun(sessionKey, message, adapter, chatId, image = null) {
+  async enqueueRun(sessionKey, message, adapter, chatId, image = null, replyTo = null) {
     if (!this.queues.has(sessionKey)) {
       this.queues.set(sessionKey, { items: [], processing: false })
     }
@@ -93,6 +94,7 @@ export default class AgentRunner extends EventEmitter {
         adapter,
         chatId,
         image,
+        replyTo,
         mcpServers: this.mcpServers || {},
         resolve,
         reject,
@@ -203,7 +205,8 @@ export default class AgentRunner extends EventEmitter {
           prompt += '\nReply with a number or type your answer.'
         }
 
-        const reply = await gateway.waitForApproval(chatId, adapter, prompt.trim())
+        const choices = questions[0]?.options?.map((opt, i) => ({ label: opt.label, value: String(i + 1) }))
+        const reply = await gateway.waitForApproval(chatId, adapter, prompt.trim(), { choices })
         if (!reply) {
           return { behavior: 'deny', message: 'No response received (timed out).' }
         }
@@ -249,7 +252,9 @@ export default class AgentRunner extends EventEmitter {
       }
       prompt += '\n\nReply Y to allow, N to deny.'
 
-      const reply = await gateway.waitForApproval(chatId, adapter, prompt)
+      const reply = await gateway.waitForApproval(chatId, adapter, prompt, {
+        choices: [{ label: 'Allow', value: 'y' }, { label: 'Deny', value: 'n' }]
+      })
       if (!reply) {
         return { behavior: 'deny', message: 'No response received (timed out).', interrupt: true }
       }
@@ -264,11 +269,15 @@ export default class AgentRunner extends EventEmitter {
   }
 
   /**
-   * Execute a single agent run with streaming messages
+   * Execute a single agent run with streaming messages.
+   * Adapters that implement createStream(chatId) receive text deltas as they arrive;
+   * stream.end() closes the current message (before a tool call and when the run finishes).
+   * Other adapters get the accumulated text via sendMessage at those same points.
    */
   async executeRun(run) {
-    const { sessionKey, message, adapter, chatId, image, mcpServers } = run
-    const platform = this.extractPlatform(sessionKey)
+    const { sessionKey, message, adapter, chatId, image, replyTo, mcpServers } = run
+    // The adapter's registered name includes its account (telegram:work); older callers only have the key
+    const platform = adapter.platform || this.extractPlatform(sessionKey)
 
     // Record user message in transcript
     this.sessionManager.appendTranscript(sessionKey, {
@@ -280,6 +289,8 @@ export default class AgentRunner extends EventEmitter {
     // Create canUseTool callback for messaging platforms
     const canUseTool = this.createMessagingCanUseTool(adapter, chatId)
 
+    const stream = adapter.createStream ? adapter.createStream(chatId) : null
+
     try {
       let currentText = ''
       let fullText = ''
@@ -290,6 +301,7 @@ export default class AgentRunner extends EventEmitter {
         platform,
         chatId,
         image,
+        replyTo,
         mcpServers,
         canUseTool
       })) {
@@ -297,17 +309,20 @@ export default class AgentRunner extends EventEmitter {
         if (chunk.type === 'text') {
           currentText += chunk.content
           fullText += chunk.content
+          if (stream) await stream.write(chunk.content)
         }
 
         // Tool called - send accumulated text first
         if (chunk.type === 'tool_use' && currentText.trim()) {
-          await adapter.sendMessage(chatId, currentText.trim())
+          if (stream) await stream.end()
+          else await adapter.sendMessage(chatId, currentText.trim())
           currentText = ''
         }
 
         // Done - send any remaining text
         if (chunk.type === 'done' && currentText.trim()) {
-          await adapter.sendMessage(chatId, currentText.trim())
+          if (stream) await stream.end()
+          else await adapter.sendMessage(chatId, currentText.trim())
         }
       }
 
@@ -321,6 +336,9 @@ export default class AgentRunner extends EventEmitter {
     } catch (error) {
       console.error(`Agent run failed for ${sessionKey}:`, error)
       throw error
+    } finally {
+      // Close out any partial streamed message (aborts, errors)
+      if (stream) await stream.end()
     }
   }
 
@@ -873,6 +873,14 @@ function getPlatformFromContext(lines, index) {
     if (lines[i].includes('telegram:')) return 'Telegram'
     if (lines[i].includes('signal:')) return 'Signal'
     if (lines[i].includes('imessage:')) return 'iMessage'
+    if (lines[i].includes('discord:')) return 'Discord'
+    if (lines[i].includes('slack:')) return 'Slack'
+    if (lines[i].includes('matrix:')) return 'Matrix'
+    if (lines[i].includes('email:')) return 'Email'
+    if (lines[i].includes('webchat:')) return 'Web chat'
+    if (lines[i].includes('webhook:')) return 'Webhook'
+    if (lines[i].includes('irc:')) return 'IRC'
+    if (lines[i].includes('xmpp:')) return 'XMPP'
   }
   return 'Unknown'
 }
@@ -884,9 +892,12 @@ async function setupWizard() {
   print('  2) Telegram (bot token)')
   print('  3) Signal (signal-cli)')
   print('  4) iMessage (macOS only)')
-  print('  5) Back to main menu\n')
+  print('  5) Discord (bot token)')
+  print('  6) Slack (Socket Mode)')
+  print('  7) Matrix (access token)')
+  print('  8) Back to main menu\n')
 
-  const choice = await prompt('Enter choice (1-5): ')
+  const choice = await prompt('Enter choice (1-8): ')
 
   switch (choice.trim()) {
     case '1':
@@ -902,6 +913,15 @@ async function setupWizard() {
       await setupiMessage()
       break
     case '5':
+      await setupDiscord()
+      break
+    case '6':
+      await setupSlack()
+      break
+    case '7':
+      await setupMatrix()
+      break
+    case '8':
       await mainMenu()
       return
     default:
@@ -1082,6 +1102,89 @@ async function setupiMessage() {
   }
 }
 
+async function setupDiscord() {
+  print('\n🎮 Discord Setup\n', colors.blue)
+  print('To create a Discord bot:')
+  print('  1. Open https://discord.com/developers/applications and create an application')
+  print('  2. Under Bot, reset and copy the token, and enable the Message Content intent')
+  print('  3. Invite the bot to your server with the "bot" scope\n')
+
+  const enable = await prompt('Enable Discord adapter? (y/n): ')
+
+  if (enable.toLowerCase() === 'y') {
+    const token = await prompt('Enter your bot token: ')
+
+    if (token.trim()) {
+      await updateConfig('discord', { enabled: true, token: token.trim() })
+      print('\n✅ Discord configured!\n', colors.green)
+    } else {
+      print('\n⚠️  No token provided, Discord not enabled.\n', colors.yellow)
+    }
+  } else {
+    await updateConfig('discord', { enabled: false })
+    print('\n❌ Discord disabled.\n', colors.dim)
+  }
+}
+
+async function setupSlack() {
+  print('\n💼 Slack Setup\n', colors.blue)
+  print('To create a Slack app:')
+  print('  1. Create an app at https://api.slack.com/apps and enable Socket Mode')
+  print('  2. Generate an app-level token with the connections:write scope (xapp-...)')
+  print('  3. Add bot scopes: chat:write, channels:history, groups:history, im:history, files:read')
+  print('  4. Subscribe to message.channels, message.groups and message.im events')
+  print('  5. Install the app to your workspace and copy the bot token (xoxb-...)\n')
+
+  const enable = await prompt('Enable Slack adapter? (y/n): ')
+
+  if (enable.toLowerCase() === 'y') {
+    const botToken = await prompt('Enter your bot token (xoxb-...): ')
+    const appToken = await prompt('Enter your app-level token (xapp-...): ')
+
+    if (botToken.trim() && appToken.trim()) {
+      await updateConfig('slack', { enabled: true, botToken: botToken.trim(), appToken: appToken.trim() })
+      print('\n✅ Slack configured!\n', colors.green)
+    } else {
+      print('\n⚠️  Both tokens are required, Slack not enabled.\n', colors.yellow)
+    }
+  } else {
+    await updateConfig('slack', { enabled: false })
+    print('\n❌ Slack disabled.\n', colors.dim)
+  }
+}
+
+async function setupMatrix() {
+  print('\n🟩 Matrix Setup\n', colors.green)
+  print('Create a dedicated account for the bot on your homeserver, then get an access token:')
+  print('  Element > Settings > Help & About > Access Token')
+  print('  or: curl -XPOST -d \'{"type":"m.login.password","user":"bot","password":"..."}\' https://HOMESERVER/_matrix/client/v3/login\n')
+  print('Use a token from a fresh login: encryption keys are bound to its device.\n', colors.dim)
+
+  const enable = await prompt('Enable Matrix adapter? (y/n): ')
+
+  if (enable.toLowerCase() === 'y') {
+    const homeserverUrl = await prompt('Homeserver URL (e.g., https://matrix.org): ')
+    const accessToken = await prompt('Access token: ')
+    const encryption = await prompt('Enable end-to-end encryption? (Y/n): ')
+
+    if (homeserverUrl.trim() && accessToken.trim()) {
+      await updateConfig('matrix', {
+        enabled: true,
+        homeserverUrl: homeserverUrl.trim().replace(/\/$/, ''),
+        accessToken: accessToken.trim(),
+        encryption: encryption.trim().toLowerCase() !== 'n'
+      })
+      print('\n✅ Matrix configured!\n', colors.green)
+      print('Invite the bot to rooms from an allowlisted account; it joins automatically.\n', colors.dim)
+    } else {
+      print('\n⚠️  Homeserver URL and access token are required, Matrix not enabled.\n', colors.yellow)
+    }
+  } else {
+    await updateConfig('matrix', { enabled: false })
+    print('\n❌ Matrix disabled.\n', colors.dim)
+  }
+}
+
 async function updateConfig(platform, updates) {
   try {
     let content = readFileSync(CONFIG_PATH, 'utf-8')
@@ -1155,6 +1258,24 @@ async function testConnection() {
     } else {
       print('  Signal: ⚠️  No phone number configured', colors.yellow)
     }
+
+    if (config.default.discord?.token) {
+      print('  Discord: ✅ Token configured', colors.green)
+    } else {
+      print('  Discord: ⚠️  No token configured', colors.yellow)
+    }
+
+    if (config.default.slack?.botToken && config.default.slack?.appToken) {
+      print('  Slack: ✅ Tokens configured', colors.green)
+    } else {
+      print('  Slack: ⚠️  No tokens configured', colors.yellow)
+    }
+
+    if (config.default.matrix?.homeserverUrl && config.default.matrix?.accessToken) {
+      print('  Matrix: ✅ Homeserver and token configured', colors.green)
+    } else {
+      print('  Matrix: ⚠️  No homeserver or token configured', colors.yellow)
+    }
   } catch (err) {
     print('  Could not load config: ' + err.message, colors.red)
   }
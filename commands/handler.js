@@ -1,4 +1,5 @@
 import { getProvider, getAvailableProviders } from '../providers/index.js'
+import config from '../config.js'
 
 /**
  * Slash command handler for Secure OpenClaw
@@ -7,8 +8,8 @@ import { getProvider, getAvailableProviders } from '../providers/index.js'
 export default class CommandHandler {
   constructor(gateway) {
     this.gateway = gateway
-    this.pendingModelSelect = new Map() // chatId -> resolve
-    this.pendingProviderSelect = new Map() // chatId -> resolve
+    this.pendingModelSelect = new Map() // `${platform}:${chatId}` -> resolve
+    this.pendingProviderSelect = new Map() // `${platform}:${chatId}` -> resolve
   }
 
   /**
@@ -37,7 +38,7 @@ export default class CommandHandler {
    * Execute a command
    * @returns {Object} { handled: boolean, response?: string }
    */
-  async execute(text, sessionKey, adapter, chatId) {
+  async execute(text, sessionKey, adapter, chatId, message = null) {
     if (!this.isCommand(text)) {
       return { handled: false }
     }
@@ -70,6 +71,12 @@ export default class CommandHandler {
       case 'provider':
         return this.handleProvider(args, chatId, adapter)
 
+      case 'link':
+        return this.handleLink(args, adapter, chatId, message)
+
+      case 'unlink':
+        return this.handleUnlink(adapter, chatId, message)
+
       default:
         // Unknown command, pass to agent
         return { handled: false }
@@ -79,16 +86,18 @@ export default class CommandHandler {
   /**
    * Check if a message is a reply to a pending /model or /provider selection
    */
-  handlePendingReply(text, chatId) {
-    if (this.pendingModelSelect.has(chatId)) {
-      const resolve = this.pendingModelSelect.get(chatId)
-      this.pendingModelSelect.delete(chatId)
+  handlePendingReply(text, platform, chatId) {
+    // Keyed by adapter too, so another account's chat with the same ID can't answer it
+    const key = `${platform}:${chatId}`
+    if (this.pendingModelSelect.has(key)) {
+      const resolve = this.pendingModelSelect.get(key)
+      this.pendingModelSelect.delete(key)
       resolve(text.trim())
       return true
     }
-    if (this.pendingProviderSelect.has(chatId)) {
-      const resolve = this.pendingProviderSelect.get(chatId)
-      this.pendingProviderSelect.delete(chatId)
+    if (this.pendingProviderSelect.has(key)) {
+      const resolve = this.pendingProviderSelect.get(key)
+      this.pendingProviderSelect.delete(key)
       resolve(text.trim())
       return true
     }
@@ -126,13 +135,13 @@ export default class CommandHandler {
     const globalStats = agentRunner.getGlobalStats()
 
     const lines = [
-      '📊 *Status*',
+      '📊 **Status**',
       '',
-      `*Session:* ${sessionKey.split(':').slice(-2).join(':')}`,
-      `*Messages:* ${agentSession?.messageCount || 0}`,
-      `*Queue:* ${queueStatus.pending} pending${queueStatus.processing ? ' (processing)' : ''}`,
+      `**Session:** ${sessionKey.split(':').slice(-2).join(':')}`,
+      `**Messages:** ${agentSession?.messageCount || 0}`,
+      `**Queue:** ${queueStatus.pending} pending${queueStatus.processing ? ' (processing)' : ''}`,
       '',
-      `*Global:* ${globalStats.totalProcessed} processed, ${globalStats.totalFailed} failed`
+      `**Global:** ${globalStats.totalProcessed} processed, ${globalStats.totalFailed} failed`
     ]
 
     return {
@@ -147,11 +156,11 @@ export default class CommandHandler {
     if (args === 'list') {
       const files = memoryManager.listDailyFiles()
       const lines = [
-        '📝 *Memory Files*',
+        '📝 **Memory Files**',
         '',
-        `*MEMORY.md:* ${memoryManager.readLongTermMemory() ? 'exists' : 'empty'}`,
+        `**MEMORY.md:** ${memoryManager.readLongTermMemory() ? 'exists' : 'empty'}`,
         '',
-        '*Daily logs:*',
+        '**Daily logs:**',
         ...files.slice(0, 10).map(f => `  • ${f}`)
       ]
       if (files.length > 10) {
@@ -167,11 +176,11 @@ export default class CommandHandler {
         return { handled: true, response: `🔍 No results for "${query}"` }
       }
       const lines = [
-        `🔍 *Search: "${query}"*`,
+        `🔍 **Search: "${query}"**`,
         ''
       ]
       for (const result of results.slice(0, 5)) {
-        lines.push(`*${result.file}:*`)
+        lines.push(`**${result.file}:**`)
         for (const match of result.matches.slice(0, 2)) {
           lines.push(`  Line ${match.line}: ${match.context.substring(0, 100)}...`)
         }
@@ -184,12 +193,12 @@ export default class CommandHandler {
     const longTerm = memoryManager.readLongTermMemory()
 
     const lines = [
-      '🧠 *Memory*',
+      '🧠 **Memory**',
       '',
-      '*Long-term (MEMORY.md):*',
+      '**Long-term (MEMORY.md):**',
       longTerm ? longTerm.substring(0, 500) + (longTerm.length > 500 ? '...' : '') : 'Empty',
       '',
-      '*Today:*',
+      '**Today:**',
       today ? today.substring(0, 500) + (today.length > 500 ? '...' : '') : 'No notes yet'
     ]
 
@@ -203,14 +212,14 @@ export default class CommandHandler {
     const stats = this.gateway.agentRunner.getGlobalStats()
 
     const lines = [
-      '📋 *Queue Status*',
+      '📋 **Queue Status**',
       '',
-      `*Pending:* ${stats.totalPending}`,
-      `*Active sessions:* ${stats.activeSessions}`,
-      `*Total sessions:* ${stats.totalSessions}`,
+      `**Pending:** ${stats.totalPending}`,
+      `**Active sessions:** ${stats.activeSessions}`,
+      `**Total sessions:** ${stats.totalSessions}`,
       '',
-      `*Processed:* ${stats.totalProcessed}`,
-      `*Failed:* ${stats.totalFailed}`
+      `**Processed:** ${stats.totalProcessed}`,
+      `**Failed:** ${stats.totalFailed}`
     ]
 
     return {
@@ -251,7 +260,7 @@ export default class CommandHandler {
 
     // Show list and wait for reply
     const lines = [
-      `🤖 *Models* (${agent.providerName})`,
+      `🤖 **Models** (${agent.providerName})`,
       `Current: ${current || '(default)'}`,
       ''
     ]
@@ -261,14 +270,15 @@ export default class CommandHandler {
     }
     lines.push('', 'Reply with a number to switch.')
 
-    await adapter.sendMessage(chatId, lines.join('\n'))
+    await this.sendChoices(adapter, chatId, lines.join('\n'), models.map(m => m.label))
 
     // Wait for reply with timeout
+    const key = `${adapter.platform}:${chatId}`
     const reply = await new Promise((resolve) => {
-      this.pendingModelSelect.set(chatId, resolve)
+      this.pendingModelSelect.set(key, resolve)
       setTimeout(() => {
-        if (this.pendingModelSelect.has(chatId)) {
-          this.pendingModelSelect.delete(chatId)
+        if (this.pendingModelSelect.has(key)) {
+          this.pendingModelSelect.delete(key)
           resolve(null)
         }
       }, 30000)
@@ -304,7 +314,7 @@ export default class CommandHandler {
 
     // Show list and wait for reply
     const lines = [
-      '🔌 *Providers*',
+      '🔌 **Providers**',
       `Current: ${current}`,
       ''
     ]
@@ -314,13 +324,14 @@ export default class CommandHandler {
     }
     lines.push('', 'Reply with a number to switch.')
 
-    await adapter.sendMessage(chatId, lines.join('\n'))
+    await this.sendChoices(adapter, chatId, lines.join('\n'), available)
 
+    const key = `${adapter.platform}:${chatId}`
     const reply = await new Promise((resolve) => {
-      this.pendingProviderSelect.set(chatId, resolve)
+      this.pendingProviderSelect.set(key, resolve)
       setTimeout(() => {
-        if (this.pendingProviderSelect.has(chatId)) {
-          this.pendingProviderSelect.delete(chatId)
+        if (this.pendingProviderSelect.has(key)) {
+          this.pendingProviderSelect.delete(key)
           resolve(null)
         }
       }, 30000)
@@ -338,6 +349,19 @@ export default class CommandHandler {
     return { handled: true, response: 'No change.' }
   }
 
+  /**
+   * Send a numbered list, as buttons where the adapter supports them
+   * (a button's value is its number, so it resolves like a typed reply)
+   */
+  async sendChoices(adapter, chatId, text, labels) {
+    if (adapter.sendChoices) {
+      const choices = labels.map((label, i) => ({ label, value: String(i + 1) }))
+      await adapter.sendChoices(chatId, text, choices)
+    } else {
+      await adapter.sendMessage(chatId, text)
+    }
+  }
+
   switchProvider(agent, providerName) {
     const config = agent.provider.config || {}
     const newProvider = getProvider(providerName, config)
@@ -347,9 +371,72 @@ export default class CommandHandler {
     agent.sessions.clear()
   }
 
+  /**
+   * /link shows a one-time code; /link <code> sent from another chat links the two
+   */
+  async handleLink(args, adapter, chatId, message) {
+    if (message?.isGroup) {
+      return { handled: true, response: 'Linking only works in direct messages.' }
+    }
+
+    const identities = this.gateway.identities
+    const platform = adapter.platform
+
+    if (!args) {
+      const code = identities.createCode(platform, chatId)
+      const lines = [
+        '🔗 **Link your chats**',
+        '',
+        'Within 10 minutes, send this from the chat you want to link (e.g. on another platform):',
+        '',
+        `\`/link ${code}\``
+      ]
+      const identity = identities.find(platform, chatId)
+      if (identity) {
+        lines.push('', '**Already linked:**')
+        for (const chat of identity.chats) {
+          lines.push(`• ${chat.platform}: ${chat.chatId}${chat.platform === platform && chat.chatId === chatId ? ' (this chat)' : ''}`)
+        }
+      }
+      return { handled: true, response: lines.join('\n') }
+    }
+
+    let result
+    try {
+      result = identities.redeem(args.trim(), platform, chatId)
+    } catch (err) {
+      return { handled: true, response: err.message }
+    }
+
+    const { from } = result
+    const shared = config.identities?.sharedSessions
+    const note = shared ? ' From now on both chats continue the same conversation.' : ''
+    console.log(`[Identities] Linked ${platform}:${chatId} with ${from.platform}:${from.chatId}`)
+
+    // Let the chat that asked for the code know too
+    try {
+      await this.gateway.adapters.get(from.platform)?.sendMessage(from.chatId, `🔗 Linked with ${platform}.${note}`)
+    } catch (err) {
+      // Ignore
+    }
+
+    return { handled: true, response: `🔗 Linked with ${from.platform}.${note}` }
+  }
+
+  handleUnlink(adapter, chatId, message) {
+    if (message?.isGroup) {
+      return { handled: true, response: 'Linking only works in direct messages.' }
+    }
+    const unlinked = this.gateway.identities.unlink(adapter.platform, chatId)
+    return {
+      handled: true,
+      response: unlinked ? '🔗 This chat is no longer linked to your other chats.' : 'This chat is not linked.'
+    }
+  }
+
   handleHelp() {
     const lines = [
-      '📖 *Commands*',
+      '📖 **Commands**',
       '',
       '`/new` or `/reset` - Start fresh session',
       '`/status` - Show session status',
@@ -360,6 +447,8 @@ export default class CommandHandler {
       '`/model` - Switch AI model',
       '`/model 2` - Switch to model by number',
       '`/provider` - Switch provider (claude/opencode)',
+      '`/link` - Link this chat with your chats on other platforms',
+      '`/unlink` - Unlink this chat',
       '`/stop` - Stop current operation',
       '`/help` - Show this help'
     ]
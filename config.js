@@ -7,33 +7,175 @@ export default {
     enabled: true,
     allowedDMs: parseList(process.env.WHATSAPP_ALLOWED_DMS),       // phone numbers, or '*' for all
     allowedGroups: parseList(process.env.WHATSAPP_ALLOWED_GROUPS),  // group JIDs
-    respondToMentionsOnly: true
+    respondToMentionsOnly: true,
+    maxDownloadBytes: 25 * 1024 * 1024,  // larger documents, videos and voice notes are skipped
+    reconnect: { baseDelayMs: 2000, maxDelayMs: 5 * 60 * 1000, maxAttempts: 10 },
+    maxQrRefreshes: 5,                   // new QR codes shown before waiting for /qr to be opened
+    // More numbers, each linked separately (QR code at /qr/<name>), e.g.
+    // accounts: { work: { allowedDMs: ['15551234567'] } }
+    accounts: {}
   },
 
   imessage: {
     enabled: false,
     allowedDMs: parseList(process.env.IMESSAGE_ALLOWED_DMS),       // chat IDs, or '*' for all
     allowedGroups: parseList(process.env.IMESSAGE_ALLOWED_GROUPS),
-    respondToMentionsOnly: true
+    respondToMentionsOnly: true,
+    mentionKeywords: parseList(process.env.IMESSAGE_MENTION_KEYWORDS || 'openclaw')  // "openclaw" or "@openclaw" in a group counts as a mention
   },
 
   telegram: {
     enabled: true,
     token: process.env.TELEGRAM_BOT_TOKEN || '',
+    mode: process.env.TELEGRAM_MODE || 'polling',                  // 'polling' or 'webhook'
+    webhookUrl: process.env.TELEGRAM_WEBHOOK_URL || '',            // public HTTPS URL of the gateway (webhook mode)
+    webhookPath: '/telegram',
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || '',      // random per start if empty
+    streaming: false,                                                // edit replies in place as they're generated
+    editInterval: 1000,                                              // ms between edits (x3 in groups)
+    parseMode: 'HTML',                                               // 'HTML' or 'MarkdownV2' for formatted replies
     allowedDMs: parseList(process.env.TELEGRAM_ALLOWED_DMS),       // user IDs, or '*' for all
     allowedGroups: parseList(process.env.TELEGRAM_ALLOWED_GROUPS),
-    respondToMentionsOnly: true
+    respondToMentionsOnly: true,
+    // More bots, each with its own token and allowlists, e.g.
+    // accounts: { work: { token: process.env.TELEGRAM_WORK_BOT_TOKEN, allowedDMs: ['123456789'] } }
+    accounts: {}
   },
 
   signal: {
     enabled: false,
     phoneNumber: process.env.SIGNAL_PHONE_NUMBER || '',
     signalCliPath: 'signal-cli',
+    attachmentsDir: '',  // where signal-cli stores received attachments (default ~/.local/share/signal-cli/attachments)
     allowedDMs: parseList(process.env.SIGNAL_ALLOWED_DMS),         // phone numbers, or '*' for all
     allowedGroups: parseList(process.env.SIGNAL_ALLOWED_GROUPS),
     respondToMentionsOnly: true
   },
 
+  discord: {
+    enabled: false,
+    token: process.env.DISCORD_BOT_TOKEN || '',
+    apiUrl: process.env.DISCORD_API_URL || '',                      // override REST base (e.g. a local fake for testing)
+    allowedDMs: parseList(process.env.DISCORD_ALLOWED_DMS),         // user IDs, or '*' for all
+    allowedGroups: parseList(process.env.DISCORD_ALLOWED_GROUPS),   // channel, thread or server IDs
+    respondToMentionsOnly: true
+  },
+
+  slack: {
+    enabled: false,
+    botToken: process.env.SLACK_BOT_TOKEN || '',                    // xoxb-...
+    appToken: process.env.SLACK_APP_TOKEN || '',                    // xapp-... (Socket Mode)
+    allowedDMs: parseList(process.env.SLACK_ALLOWED_DMS),           // user IDs, or '*' for all
+    allowedGroups: parseList(process.env.SLACK_ALLOWED_GROUPS),     // channel IDs
+    respondToMentionsOnly: true,
+    replyInThread: true                                              // answer channel mentions in a thread
+  },
+
+  matrix: {
+    enabled: false,
+    homeserverUrl: process.env.MATRIX_HOMESERVER_URL || '',        // e.g. https://matrix.org
+    accessToken: process.env.MATRIX_ACCESS_TOKEN || '',
+    encryption: true,                                                // end-to-end encrypted rooms
+    allowedDMs: parseList(process.env.MATRIX_ALLOWED_DMS),          // user IDs (@user:server), or '*' for all
+    allowedGroups: parseList(process.env.MATRIX_ALLOWED_GROUPS),    // room IDs (!room:server)
+    respondToMentionsOnly: true
+  },
+
+  email: {
+    enabled: false,
+    address: process.env.EMAIL_ADDRESS || '',                       // the assistant's own address (From)
+    imap: {
+      host: process.env.EMAIL_IMAP_HOST || '',
+      port: 993,
+      secure: true,
+      user: process.env.EMAIL_USER || '',
+      password: process.env.EMAIL_PASSWORD || '',
+      mailbox: 'INBOX'
+    },
+    smtp: {
+      host: process.env.EMAIL_SMTP_HOST || '',
+      port: 465,
+      secure: true,
+      user: process.env.EMAIL_USER || '',
+      password: process.env.EMAIL_PASSWORD || ''
+    },
+    maildir: process.env.EMAIL_MAILDIR || '',                       // poll a local Maildir instead of IMAP (testing)
+    pollInterval: 30,                                                // seconds
+    verifySender: true,                                              // require a DMARC or aligned DKIM pass in Authentication-Results
+    authservId: process.env.EMAIL_AUTHSERV_ID || '',                // name your mail server puts first in that header, e.g. mx.google.com
+    allowedDMs: parseList(process.env.EMAIL_ALLOWED_SENDERS),       // sender addresses, or '*' for all
+    allowedGroups: [],
+    respondToMentionsOnly: false
+  },
+
+  // Web chat (browser UI served by the gateway at /chat)
+  webchat: {
+    enabled: false,
+    token: process.env.WEBCHAT_TOKEN || '',                         // shared secret the page asks for
+    maxUploadBytes: 10 * 1024 * 1024,                                // largest WebSocket frame (image uploads)
+    allowedDMs: ['*'],                                               // access is gated by the token
+    allowedGroups: [],
+    respondToMentionsOnly: false
+  },
+
+  // Webhook (HMAC-signed POSTs from scripts, served by the gateway)
+  webhook: {
+    enabled: false,
+    secret: process.env.WEBHOOK_SECRET || '',                       // HMAC-SHA256 key for requests, replies and callbacks
+    path: '/webhook',
+    mode: 'sync',                                                    // 'sync' (reply in the response) or 'async' (POST to callbackUrl)
+    callbackUrl: process.env.WEBHOOK_CALLBACK_URL || '',
+    maxBodyBytes: 10 * 1024 * 1024,
+    allowedDMs: process.env.WEBHOOK_ALLOWED_CHATS ? parseList(process.env.WEBHOOK_ALLOWED_CHATS) : ['*'],  // chat IDs callers may use
+    allowedGroups: [],
+    respondToMentionsOnly: false
+  },
+
+  irc: {
+    enabled: false,
+    server: process.env.IRC_SERVER || '',
+    port: 6697,
+    tls: true,
+    nick: process.env.IRC_NICK || 'openclaw',
+    sasl: {
+      account: process.env.IRC_SASL_ACCOUNT || '',
+      password: process.env.IRC_SASL_PASSWORD || ''
+    },
+    // Services accounts (account:name, or a bare name) or nick!user@host masks, or '*' for all.
+    // A bare nick is not an identity: anyone can take a nick that's free, so names are matched against accounts
+    allowedDMs: parseList(process.env.IRC_ALLOWED_DMS),
+    allowedGroups: parseList(process.env.IRC_CHANNELS),             // channels to join, e.g. #general
+    respondToMentionsOnly: true,
+    floodBurst: 4,                                                   // lines sent back-to-back before throttling
+    floodInterval: 1000                                              // ms per line after that
+  },
+
+  xmpp: {
+    enabled: false,
+    service: process.env.XMPP_SERVICE || '',                        // xmpp://host:5222 (STARTTLS) or xmpps://host:5223
+    domain: process.env.XMPP_DOMAIN || '',
+    username: process.env.XMPP_USERNAME || '',
+    password: process.env.XMPP_PASSWORD || '',
+    nick: 'openclaw',                                                // nickname in group chat rooms
+    allowedDMs: parseList(process.env.XMPP_ALLOWED_DMS),            // bare JIDs, or '*' for all
+    allowedGroups: parseList(process.env.XMPP_ROOMS),               // room JIDs to join
+    respondToMentionsOnly: true,
+    maxDownloadBytes: 10 * 1024 * 1024,                              // larger images are skipped
+    trustedHosts: []                                                 // image hosts on your LAN, e.g. ['files.home.lan']
+  },
+
+  // Your DM chats on different platforms, linked with /link
+  identities: {
+    sharedSessions: false,  // linked chats continue one conversation
+    replyOnLatest: true     // reminders and scheduled messages go to the chat you last wrote from
+  },
+
+  // Extra adapters, loaded alongside the built-in ones above. `module` is an npm package or a file
+  // (relative to this directory) whose default export extends adapters/base.js; the rest of the
+  // entry is passed to its constructor, e.g.
+  // mastodon: { module: './my-adapters/mastodon.js', allowedDMs: ['*'], allowedGroups: [] }
+  adapters: {},
+
   // Agent configuration
   agent: {
     workspace: '~/secure-openclaw',        // Agent workspace directory
@@ -2,11 +2,9 @@ import 'dotenv/config'
 import http from 'http'
 import QRCode from 'qrcode'
 import config from './config.js'
-import WhatsAppAdapter from './adapters/whatsapp.js'
-import iMessageAdapter from './adapters/imessage.js'
-import TelegramAdapter from './adapters/telegram.js'
-import SignalAdapter from './adapters/signal.js'
+import { enabledAdapters, loadAdapter } from './adapters/registry.js'
 import SessionManager from './sessions/manager.js'
+import IdentityRegistry from './sessions/identities.js'
 import AgentRunner from './agent/runner.js'
 import CommandHandler from './commands/handler.js'
 import { Composio } from '@composio/core'
@@ -17,6 +15,7 @@ import { Composio } from '@composio/core'
 class Gateway {
   constructor() {
     this.sessionManager = new SessionManager()
+    this.identities = new IdentityRegistry()
     this.agentRunner = new AgentRunner(this.sessionManager, {
       allowedTools: config.agent?.allowedTools || ['Read', 'Write', 'Edit', 'Bash', 'Glob', 'Grep'],
       maxTurns: config.agent?.maxTurns || 50,
@@ -26,7 +25,9 @@ class Gateway {
     })
     this.commandHandler = new CommandHandler(this)
     this.adapters = new Map()
-    this.pendingApprovals = new Map() // chatId -> { resolve, timeout }
+    this.httpRoutes = new Map() // path -> { request, upgrade }
+    this.connectionStates = new Map() // platform -> { state, since, ...details } for adapters that report it
+    this.pendingApprovals = new Map() // `${platform}:${chatId}` -> { resolve, timeout }
     this.composio = new Composio()
     this.composioSession = null
     this.mcpServers = {}
@@ -85,6 +86,12 @@ class Gateway {
     this.agentRunner.agent.cronScheduler.on('execute', async ({ jobId, platform, chatId, sessionKey, message, invokeAgent }) => {
       console.log(`[Cron] ⏰ Executing job ${jobId}${invokeAgent ? ' (invoking agent)' : ''}`)
 
+      // A job for a linked chat goes to whichever of the user's chats they last wrote from
+      if (config.identities?.replyOnLatest) {
+        const latest = this.identities.latestChat(platform, chatId)
+        if (this.adapters.has(latest.platform)) ({ platform, chatId } = latest)
+      }
+
       const adapter = this.adapters.get(platform)
       if (!adapter) {
         console.error(`[Cron] No adapter for platform: ${platform}`)
@@ -121,10 +128,26 @@ class Gateway {
   /**
    * Send a message and wait for the user's reply.
    * Used for tool approval prompts and clarifying questions.
+   * If choices ([{ label, value }]) are given and the adapter supports sendChoices,
+   * they are rendered as buttons whose value comes back as the reply text.
+   * Adapters with canAwaitReply(chatId) can say a chat has no way to answer right now; it then gets null at once.
    */
-  waitForApproval(chatId, adapter, message, timeoutMs = 120000) {
+  async waitForApproval(chatId, adapter, message, { timeoutMs = 120000, choices = null } = {}) {
+    if (adapter.canAwaitReply && !adapter.canAwaitReply(chatId)) {
+      console.log(`[Gateway] ${adapter.platform}:${chatId} can't answer prompts right now; treating as no response`)
+      try {
+        await adapter.sendMessage(chatId, `${message}\n\n(Declined automatically: this chat can't answer until the run finishes.)`)
+      } catch (err) {
+        // Ignore
+      }
+      return null
+    }
+
+    // Keyed by adapter too: the same user can have chats with two accounts of one platform
+    const key = `${adapter.platform}:${chatId}`
+
     // Clear any existing pending approval for this chat
-    const existing = this.pendingApprovals.get(chatId)
+    const existing = this.pendingApprovals.get(key)
     if (existing) {
       clearTimeout(existing.timeout)
       existing.resolve(null)
@@ -132,18 +155,22 @@ class Gateway {
 
     return new Promise(async (resolve) => {
       const timeout = setTimeout(() => {
-        this.pendingApprovals.delete(chatId)
+        this.pendingApprovals.delete(key)
         resolve(null) // Timeout = no response
       }, timeoutMs)
 
-      this.pendingApprovals.set(chatId, { resolve, timeout })
+      this.pendingApprovals.set(key, { resolve, timeout })
 
       try {
-        await adapter.sendMessage(chatId, message)
+        if (choices && adapter.sendChoices) {
+          await adapter.sendChoices(chatId, message, choices)
+        } else {
+          await adapter.sendMessage(chatId, message)
+        }
       } catch (err) {
         console.error('[Gateway] Failed to send approval prompt:', err.message)
         clearTimeout(timeout)
-        this.pendingApprovals.delete(chatId)
+        this.pendingApprovals.delete(key)
         resolve(null)
       }
     })
@@ -157,10 +184,8 @@ class Gateway {
     console.log(`Workspace: ~/secure-openclaw/`)
     console.log('')
 
-    const platforms = ['whatsapp', 'imessage', 'telegram', 'signal']
-    for (const p of platforms) {
-      const pc = config[p]
-      if (!pc?.enabled) continue
+    const entries = enabledAdapters(config)
+    for (const { name: p, options: pc } of entries) {
       const dms = pc.allowedDMs?.length ? pc.allowedDMs.join(', ') : 'NONE (all blocked)'
       const groups = pc.allowedGroups?.length ? pc.allowedGroups.join(', ') : 'NONE (all blocked)'
       console.log(`[Security] ${p}: DMs=${dms} | Groups=${groups}`)
@@ -181,78 +206,91 @@ class Gateway {
 
     this.agentRunner.agent.gateway = this
 
-    // Initialize WhatsApp adapter
-    if (config.whatsapp.enabled) {
-      console.log('[Gateway] Initializing WhatsApp adapter...')
-      const whatsapp = new WhatsAppAdapter(config.whatsapp)
-      this.setupAdapter(whatsapp, 'whatsapp', config.whatsapp)
-      this.adapters.set('whatsapp', whatsapp)
+    await this.startAdapters(entries)
 
-      try {
-        await whatsapp.start()
-      } catch (err) {
-        console.error('[Gateway] WhatsApp adapter failed to start:', err.message)
-      }
-    }
+    // Handle shutdown
+    process.on('SIGINT', () => this.stop())
+    process.on('SIGTERM', () => this.stop())
 
-    // Initialize iMessage adapter
-    if (config.imessage.enabled) {
-      console.log('[Gateway] Initializing iMessage adapter...')
-      const imessage = new iMessageAdapter(config.imessage)
-      this.setupAdapter(imessage, 'imessage', config.imessage)
-      this.adapters.set('imessage', imessage)
+    // Start HTTP server for health checks and WhatsApp QR code
+    this.startHttpServer()
 
+    console.log('')
+    console.log('[Gateway] Ready and listening for messages')
+    console.log('[Gateway] Using Claude Agent SDK with memory + cron + Composio')
+    console.log('[Gateway] Commands: /help, /new, /status, /memory, /stop')
+  }
+
+  /**
+   * Load and start adapters side by side. A module that fails to load, or an adapter that fails
+   * to start, is logged and recorded in connectionStates; the others carry on.
+   * Once they're loaded the agent's tool schemas are rebuilt to list them.
+   * @param {Array<{ name, module, options }>} entries - From enabledAdapters(config)
+   */
+  async startAdapters(entries) {
+    const fail = (name, action, err) => {
+      console.error(`[Gateway] ${name} adapter failed to ${action}:`, err.message)
+      this.connectionStates.set(name, { state: 'failed', since: new Date().toISOString(), error: err.message })
+    }
+
+    // Modules load in parallel (disabled adapters' dependencies are never imported)
+    const loaded = await Promise.all(entries.map(async (entry) => {
+      console.log(`[Gateway] Initializing ${entry.name} adapter...`)
       try {
-        await imessage.start()
+        return { ...entry, Adapter: await loadAdapter(entry.module) }
       } catch (err) {
-        console.error('[Gateway] iMessage adapter failed to start:', err.message)
+        fail(entry.name, 'load', err)
+        return null
       }
-    }
-
-
-    if (config.telegram?.enabled) {
-      console.log('[Gateway] Initializing Telegram adapter...')
-      const telegram = new TelegramAdapter(config.telegram)
-      this.setupAdapter(telegram, 'telegram', config.telegram)
-      this.adapters.set('telegram', telegram)
+    }))
 
+    // Register in config order so the adapter list is stable
+    const started = []
+    for (const entry of loaded.filter(Boolean)) {
       try {
-        await telegram.start()
+        const adapter = new entry.Adapter(entry.options)
+        this.setupAdapter(adapter, entry.name, entry.options)
+        this.adapters.set(entry.name, adapter)
+        started.push({ name: entry.name, adapter })
       } catch (err) {
-        console.error('[Gateway] Telegram adapter failed to start:', err.message)
+        fail(entry.name, 'load', err)
       }
     }
+    this.agentRunner.agent.setPlatforms([...this.adapters.keys()])
 
-    // Initialize Signal adapter
-    if (config.signal?.enabled) {
-      console.log('[Gateway] Initializing Signal adapter...')
-      const signal = new SignalAdapter(config.signal)
-      this.setupAdapter(signal, 'signal', config.signal)
-      this.adapters.set('signal', signal)
-
+    await Promise.all(started.map(async ({ name, adapter }) => {
       try {
-        await signal.start()
+        await adapter.start()
       } catch (err) {
-        console.error('[Gateway] Signal adapter failed to start:', err.message)
+        fail(name, 'start', err)
       }
-    }
+    }))
+  }
 
-    // Handle shutdown
-    process.on('SIGINT', () => this.stop())
-    process.on('SIGTERM', () => this.stop())
+  setupAdapter(adapter, platform, platformConfig) {
+    adapter.platform = platform
 
-    // Start HTTP server for health checks and WhatsApp QR code
-    this.startHttpServer()
+    const routes = Object.entries(adapter.getHttpRoutes())
+    for (const [path] of routes) {
+      if (this.httpRoutes.has(path)) {
+        throw new Error(`${path} is already served by another adapter; give ${platform} its own path`)
+      }
+    }
+    for (const [path, handlers] of routes) {
+      this.httpRoutes.set(path, handlers)
+    }
 
-    console.log('')
-    console.log('[Gateway] Ready and listening for messages')
-    console.log('[Gateway] Using Claude Agent SDK with memory + cron + Composio')
-    console.log('[Gateway] Commands: /help, /new, /status, /memory, /stop')
-  }
+    adapter.onConnectionState((state, details) => {
+      this.connectionStates.set(platform, { state, since: new Date().toISOString(), ...details })
+      if (state === 'failed') {
+        console.error(`[Gateway] ${platform} gave up reconnecting; open ${this.qrPath(platform)} or restart the gateway to try again`)
+      } else if (state === 'qr_expired') {
+        console.log(`[Gateway] ${platform} is waiting to be linked; open ${this.qrPath(platform)} to get a new QR code`)
+      }
+    })
 
-  setupAdapter(adapter, platform, platformConfig) {
     adapter.onMessage(async (message) => {
-      const sessionKey = adapter.generateSessionKey(config.agentId, platform, message)
+      const sessionKey = this.sessionKeyFor(adapter, platform, message)
 
       console.log('')
       console.log(`[${platform.toUpperCase()}] Incoming message:`)
@@ -260,33 +298,43 @@ class Gateway {
       console.log(`  From: ${message.sender}`)
       console.log(`  Group: ${message.isGroup}`)
       console.log(`  Text: ${message.text.substring(0, 100)}${message.text.length > 100 ? '...' : ''}`)
-      if (message.image) {
+      if (message.images) {
+        console.log(`  Images: ${message.images.length} (${Math.round(message.images.reduce((n, img) => n + img.data.length, 0) / 1024)}KB)`)
+      } else if (message.image) {
         console.log(`  Image: ${Math.round(message.image.data.length / 1024)}KB`)
       }
 
       // Check for pending approval — if one exists, resolve it with the user's reply
-      const pending = this.pendingApprovals.get(message.chatId)
+      const approvalKey = `${platform}:${message.chatId}`
+      const pending = this.pendingApprovals.get(approvalKey)
       if (pending) {
         console.log(`[${platform.toUpperCase()}] Resolving pending approval with: ${message.text}`)
         clearTimeout(pending.timeout)
-        this.pendingApprovals.delete(message.chatId)
+        this.pendingApprovals.delete(approvalKey)
         pending.resolve(message.text)
         return
       }
 
       // Check for pending /model or /provider selection
-      if (this.commandHandler.handlePendingReply(message.text, message.chatId)) {
+      if (this.commandHandler.handlePendingReply(message.text, platform, message.chatId)) {
         console.log(`[${platform.toUpperCase()}] Resolved pending command selection: ${message.text}`)
         return
       }
 
+      // A button press with nothing waiting on it (timed out or already answered)
+      if (message.isChoice) {
+        message.expired = true
+        return
+      }
+
       try {
         // Check for slash commands first
         const commandResult = await this.commandHandler.execute(
           message.text,
           sessionKey,
           adapter,
-          message.chatId
+          message.chatId,
+          message
         )
 
         if (commandResult.handled) {
@@ -304,8 +352,9 @@ class Gateway {
           await adapter.sendTyping(message.chatId)
         }
 
-        if (queueStatus.pending > 0 && adapter.react && message.raw?.key?.id) {
-          await adapter.react(message.chatId, message.raw.key.id, '⏳')
+        const messageId = message.messageId || message.raw?.key?.id
+        if (queueStatus.pending > 0 && adapter.react && messageId) {
+          await adapter.react(message.chatId, messageId, '⏳')
         }
 
         // Enqueue agent run with optional image
@@ -315,7 +364,8 @@ class Gateway {
           message.text,
           adapter,
           message.chatId,
-          message.image  // Pass image if present
+          message.images || message.image,  // Pass image(s) if present
+          message.replyTo
         )
 
         if (adapter.stopTyping) {
@@ -342,16 +392,91 @@ class Gateway {
     })
   }
 
+  /**
+   * Session key for an incoming message. DMs from chats linked with /link share one session
+   * per identity (with identities.sharedSessions), whichever platform they arrive on.
+   */
+  sessionKeyFor(adapter, platform, message) {
+    if (!message.isGroup) {
+      const identity = this.identities.touch(platform, message.chatId)
+      if (identity && config.identities?.sharedSessions) {
+        return `agent:${config.agentId}:user:${identity.id}`
+      }
+    }
+    return adapter.generateSessionKey(config.agentId, platform, message)
+  }
+
+  /**
+   * Where an adapter instance's QR code is served (/qr, or /qr/<account>)
+   */
+  qrPath(platform) {
+    const account = platform.split(':')[1]
+    return account ? `/qr/${account}` : '/qr'
+  }
+
+  /**
+   * Find the adapter route for a request URL (exact path or a sub-path)
+   */
+  matchHttpRoute(url) {
+    const pathname = new URL(url, 'http://localhost').pathname
+    // The most specific route wins (e.g. /telegram/work over /telegram)
+    let match = null
+    for (const [path, handlers] of this.httpRoutes) {
+      if ((pathname === path || pathname.startsWith(`${path}/`)) && (!match || path.length > match.path.length)) {
+        match = { path, handlers }
+      }
+    }
+    return match?.handlers || null
+  }
+
   startHttpServer() {
     const port = process.env.PORT || 4096
 
     this.httpServer = http.createServer(async (req, res) => {
-      if (req.url === '/qr') {
-        const wa = this.adapters.get('whatsapp')
+      const route = this.matchHttpRoute(req.url)
+      if (route?.request) {
+        try {
+          await route.request(req, res)
+        } catch (err) {
+          console.error('[HTTP] Route error:', err.message)
+          if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' })
+          }
+          res.end('Internal error')
+        }
+        return
+      }
+
+      // /qr for the main WhatsApp account, /qr/<account> for the others
+      const qrPath = new URL(req.url, 'http://localhost').pathname.match(/^\/qr(?:\/([a-z0-9_-]+))?\/?$/)
+      if (qrPath) {
+        const name = qrPath[1] ? `whatsapp:${qrPath[1]}` : 'whatsapp'
+        const wa = this.adapters.get(name)
+        const idle = wa?.connectionState === 'qr_expired' || wa?.connectionState === 'failed'
+
+        // Pairing timed out or reconnecting gave up: only the button (a POST) starts over,
+        // so the page's auto-refresh or a link preview can't keep generating codes
+        if (req.method === 'POST') {
+          if (idle) wa.requestQr()
+          res.writeHead(303, { Location: this.qrPath(name) })
+          res.end()
+          return
+        }
+
         if (!wa || !wa.latestQr) {
           res.writeHead(200, { 'Content-Type': 'text/html' })
-          const status = wa?.myJid ? 'WhatsApp is connected.' : 'No QR code available. Waiting for WhatsApp...'
-          res.end(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="refresh" content="5"><title>WhatsApp QR</title><style>body{font-family:system-ui;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;background:#111;color:#fff}</style></head><body><p>${status}</p></body></html>`)
+          let status = 'No QR code available. Waiting for WhatsApp...'
+          let action = ''
+          if (wa?.connectionState === 'open') {
+            status = 'WhatsApp is connected.'
+          } else if (idle) {
+            status = 'WhatsApp is not linked.'
+            action = '<form method="post"><button type="submit">Get a new QR code</button></form>'
+          } else if (wa?.connectionState === 'reconnecting') {
+            status = 'WhatsApp connection lost. Reconnecting...'
+          }
+          const refresh = idle ? '' : '<meta http-equiv="refresh" content="5">'
+          res.end(`<!DOCTYPE html><html><head><meta charset="utf-8">${refresh}<title>WhatsApp QR</title><style>body{font-family:system-ui;display:flex;flex-direction:column;align-items:center;justify-content:center;min-height:100vh;margin:0;background:#111;color:#fff}button{font-size:1rem;padding:.5em 1em}</style></head><body><p>${status}</p>${action}</body></html>`)
           return
         }
 
@@ -370,13 +495,30 @@ class Gateway {
       res.writeHead(200, { 'Content-Type': 'application/json' })
       const adaptersStatus = {}
       for (const [name, adapter] of this.adapters) {
-        adaptersStatus[name] = { connected: !!adapter.sock || !!adapter.bot }
+        adaptersStatus[name] = {
+          connected: adapter.connected,
+          ...(this.connectionStates.has(name) ? { connection: this.connectionStates.get(name) } : {})
+        }
+      }
+      // Adapters that never loaded
+      for (const [name, connection] of this.connectionStates) {
+        if (!this.adapters.has(name)) adaptersStatus[name] = { connected: false, connection }
       }
       res.end(JSON.stringify({ status: 'ok', adapters: adaptersStatus }))
     })
 
+    // WebSocket upgrades are only accepted on adapter routes
+    this.httpServer.on('upgrade', (req, socket, head) => {
+      const route = this.matchHttpRoute(req.url)
+      if (route?.upgrade) {
+        route.upgrade(req, socket, head)
+      } else {
+        socket.destroy()
+      }
+    })
+
     this.httpServer.listen(port, () => {
-      console.log(`[HTTP] Listening on port ${port} (QR code at /qr)`)
+      console.log(`[HTTP] Listening on port ${port} (QR code at /qr${this.adapters.has('webchat') ? ', web chat at /chat' : ''})`)
     })
   }
 
@@ -0,0 +1,187 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const IDENTITIES_FILE = path.join(os.homedir(), '.secure-openclaw', 'identities.json')
+const CODE_TTL_MS = 10 * 60 * 1000
+const MAX_FAILED_ATTEMPTS = 5
+const LOCKOUT_MS = 10 * 60 * 1000
+// 12 characters from 32 (no 0/O or 1/I) is 60 bits: too many to guess even from many chats at once
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 12
+
+const sameChat = (a, b) => a.platform === b.platform && a.chatId === b.chatId
+
+/**
+ * Identity registry: links the DM chats one person has on different platforms
+ * (e.g. whatsapp + telegram) into a single identity, so they can share a session.
+ * A link is made with a one-time code shown in one chat and sent back from the other (see /link).
+ */
+export default class IdentityRegistry {
+  constructor() {
+    this.identities = new Map() // id -> { id, chats: [{ platform, chatId }], latest: { platform, chatId } | null, createdAt }
+    this.codes = new Map() // code -> { platform, chatId, expiresAt }
+    this.failedAttempts = new Map() // "<platform>:<chatId>" -> { count, lockedUntil, updatedAt }
+    this.load()
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(IDENTITIES_FILE)) {
+        const data = JSON.parse(fs.readFileSync(IDENTITIES_FILE, 'utf-8'))
+        for (const identity of data) {
+          this.identities.set(identity.id, identity)
+        }
+        console.log(`[Identities] Loaded ${this.identities.size} linked identities`)
+      }
+    } catch (err) {
+      console.error('[Identities] Failed to load identities:', err.message)
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(IDENTITIES_FILE), { recursive: true })
+      fs.writeFileSync(IDENTITIES_FILE, JSON.stringify(Array.from(this.identities.values()), null, 2))
+    } catch (err) {
+      console.error('[Identities] Failed to save identities:', err.message)
+    }
+  }
+
+  /**
+   * Find the identity a chat is linked to
+   * @param {string} platform - Adapter name (e.g. telegram or telegram:work)
+   * @param {string} chatId - The DM chat
+   * @returns {Object|null}
+   */
+  find(platform, chatId) {
+    for (const identity of this.identities.values()) {
+      if (identity.chats.some(chat => sameChat(chat, { platform, chatId }))) return identity
+    }
+    return null
+  }
+
+  /**
+   * Issue a one-time code for a chat (replacing any earlier one), valid for 10 minutes
+   * @returns {string} Code such as ABCD-EFGH-JKLM
+   */
+  createCode(platform, chatId) {
+    for (const [code, entry] of this.codes) {
+      if (entry.expiresAt < Date.now() || sameChat(entry, { platform, chatId })) this.codes.delete(code)
+    }
+
+    let code
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')
+    } while (this.codes.has(code))
+    this.codes.set(code, { platform, chatId, expiresAt: Date.now() + CODE_TTL_MS })
+    return code.match(/.{4}/g).join('-')
+  }
+
+  /**
+   * Redeem a code from another chat, linking it to the chat the code was issued in.
+   * A chat that sends too many wrong codes can't redeem any for a while, so codes can't be guessed.
+   * @returns {{ identity: Object, from: { platform, chatId } }}
+   */
+  redeem(code, platform, chatId) {
+    const key = `${platform}:${chatId}`
+    const now = Date.now()
+    for (const [chat, attempts] of this.failedAttempts) {
+      if (attempts.lockedUntil < now && attempts.updatedAt < now - LOCKOUT_MS) this.failedAttempts.delete(chat)
+    }
+
+    const attempts = this.failedAttempts.get(key) || { count: 0, lockedUntil: 0, updatedAt: now }
+    if (attempts.lockedUntil >= now) {
+      throw new Error('Too many wrong codes from this chat. Wait 10 minutes, then try again.')
+    }
+
+    // Codes are shown in groups of four; accept them typed with or without the dashes, in any case
+    code = String(code).toUpperCase().replace(/[\s-]/g, '')
+    const entry = this.codes.get(code)
+    if (!entry || entry.expiresAt < now) {
+      this.codes.delete(code)
+      attempts.updatedAt = now
+      this.failedAttempts.set(key, attempts)
+      if (++attempts.count >= MAX_FAILED_ATTEMPTS) {
+        attempts.count = 0
+        attempts.lockedUntil = now + LOCKOUT_MS
+        throw new Error('Too many wrong codes from this chat. Wait 10 minutes, then try again.')
+      }
+      throw new Error('That code is wrong or has expired. Send /link in your other chat to get a new one.')
+    }
+    if (sameChat(entry, { platform, chatId })) {
+      throw new Error('Send the code from your other chat, not this one.')
+    }
+
+    this.codes.delete(code)
+    this.failedAttempts.delete(key)
+    const from = { platform: entry.platform, chatId: entry.chatId }
+    return { identity: this.link(from, { platform, chatId }), from }
+  }
+
+  /**
+   * Link two chats, merging their identities if both were already linked elsewhere
+   */
+  link(a, b) {
+    const first = this.find(a.platform, a.chatId)
+    const second = this.find(b.platform, b.chatId)
+
+    let identity = first || second
+    if (first && second && first !== second) {
+      first.chats.push(...second.chats)
+      this.identities.delete(second.id)
+    }
+    if (!identity) {
+      identity = { id: `user_${crypto.randomBytes(4).toString('hex')}`, chats: [], latest: null, createdAt: Date.now() }
+      this.identities.set(identity.id, identity)
+    }
+
+    for (const chat of [a, b]) {
+      if (!identity.chats.some(c => sameChat(c, chat))) identity.chats.push(chat)
+    }
+    this.save()
+    return identity
+  }
+
+  /**
+   * Remove a chat from its identity; an identity left with a single chat is dropped
+   * @returns {boolean} Whether the chat was linked
+   */
+  unlink(platform, chatId) {
+    const identity = this.find(platform, chatId)
+    if (!identity) return false
+
+    identity.chats = identity.chats.filter(chat => !sameChat(chat, { platform, chatId }))
+    if (identity.latest && sameChat(identity.latest, { platform, chatId })) {
+      identity.latest = null
+    }
+    if (identity.chats.length < 2) {
+      this.identities.delete(identity.id)
+    }
+    this.save()
+    return true
+  }
+
+  /**
+   * Record that a message just arrived in a chat, so replies can follow the user to it
+   * @returns {Object|null} The chat's identity, if it's linked
+   */
+  touch(platform, chatId) {
+    const identity = this.find(platform, chatId)
+    if (!identity) return null
+    if (!identity.latest || !sameChat(identity.latest, { platform, chatId })) {
+      identity.latest = { platform, chatId }
+      this.save()
+    }
+    return identity
+  }
+
+  /**
+   * The chat a linked user wrote from most recently (the chat itself if it isn't linked)
+   * @returns {{ platform: string, chatId: string }}
+   */
+  latestChat(platform, chatId) {
+    return this.find(platform, chatId)?.latest || { platform, chatId }
+  }
+}
@@ -1,5 +1,10 @@
 import { createSdkMcpServer, tool } from '@anthropic-ai/claude-agent-sdk'
 import { z } from 'zod'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const WORKSPACE = process.env.SECURE_OPENCLAW_WORKSPACE || path.join(os.homedir(), 'secure-openclaw')
 
 /**
  * Gateway context - set by gateway before agent runs
@@ -21,8 +26,11 @@ export function getGatewayContext() {
 
 /**
  * Create Gateway MCP server with tools for interacting with the gateway
+ * @param {string[]} [platforms] - Names of the loaded adapters; the platform parameters only accept these
  */
-export function createGatewayMcpServer() {
+export function createGatewayMcpServer(platforms = []) {
+  const platformSchema = () => platforms.length ? z.enum(platforms) : z.string()
+
   return createSdkMcpServer({
     name: 'gateway',
     version: '1.0.0',
@@ -31,8 +39,8 @@ export function createGatewayMcpServer() {
         'send_message',
         'Send a message to a specific chat on any connected platform. Use this to proactively message users or send to different chats.',
         {
-          platform: z.enum(['whatsapp', 'imessage', 'telegram', 'signal']).describe('The messaging platform'),
-          chat_id: z.string().describe('The chat ID to send to (e.g., phone@s.whatsapp.net for WhatsApp)'),
+          platform: platformSchema().describe('The messaging platform'),
+          chat_id: z.string().describe('The chat ID to send to (e.g., phone@s.whatsapp.net for WhatsApp, an email address to start a new email thread)'),
           message: z.string().describe('The message text to send')
         },
         async ({ platform, chat_id, message }) => {
@@ -55,6 +63,56 @@ export function createGatewayMcpServer() {
         }
       ),
 
+      tool(
+        'send_file',
+        'Send a file from the workspace (a chart, PDF, spreadsheet, ...) to a chat. Images are shown inline where the platform supports it. Defaults to the current chat.',
+        {
+          path: z.string().describe('Path of the file, relative to the workspace (~/secure-openclaw) or absolute inside it'),
+          caption: z.string().optional().describe('Optional text to send with the file'),
+          platform: platformSchema().optional().describe('The messaging platform (defaults to the current one)'),
+          chat_id: z.string().optional().describe('The chat ID to send to (defaults to the current chat)')
+        },
+        async ({ path: filePath, caption = '', platform, chat_id }) => {
+          const { gateway, currentPlatform, currentChatId } = gatewayContext
+          if (!gateway) {
+            return { success: false, error: 'Gateway not available' }
+          }
+
+          const targetPlatform = platform || currentPlatform
+          const targetChatId = chat_id || currentChatId
+          if (!targetPlatform || !targetChatId) {
+            return { success: false, error: 'No current chat; specify platform and chat_id' }
+          }
+
+          const adapter = gateway.adapters.get(targetPlatform)
+          if (!adapter) {
+            return { success: false, error: `Platform ${targetPlatform} not connected` }
+          }
+
+          // Only files inside the workspace can be sent (resolving symlinks so they can't point outside it)
+          let resolved
+          try {
+            const root = fs.realpathSync(WORKSPACE)
+            resolved = fs.realpathSync(path.resolve(root, filePath))
+            if (!resolved.startsWith(root + path.sep)) {
+              return { success: false, error: 'Only files inside the workspace can be sent' }
+            }
+            if (!fs.statSync(resolved).isFile()) {
+              return { success: false, error: `${filePath} is not a file` }
+            }
+          } catch (err) {
+            return { success: false, error: `File not found: ${filePath}` }
+          }
+
+          try {
+            await adapter.sendFile(targetChatId, resolved, caption)
+            return { success: true, platform: targetPlatform, chat_id: targetChatId, path: resolved, size: fs.statSync(resolved).size }
+          } catch (err) {
+            return { success: false, error: err.message }
+          }
+        }
+      ),
+
       tool(
         'list_platforms',
         'List all connected messaging platforms and their status',
@@ -69,9 +127,17 @@ export function createGatewayMcpServer() {
           for (const [name, adapter] of gateway.adapters) {
             platforms.push({
               name,
-              connected: !!adapter.sock || !!adapter.bot || !!adapter.process
+              connected: adapter.connected,
+              ...(adapter.connectionState ? { state: adapter.connectionState } : {}),
+              capabilities: adapter.capabilities
             })
           }
+          // Configured adapters that failed to load
+          for (const [name, connection] of gateway.connectionStates) {
+            if (!gateway.adapters.has(name)) {
+              platforms.push({ name, connected: false, state: connection.state, error: connection.error })
+            }
+          }
 
           return { success: true, platforms }
         }
@@ -143,7 +209,7 @@ export function createGatewayMcpServer() {
         'Send a message to multiple chats across platforms. Use with caution.',
         {
           targets: z.array(z.object({
-            platform: z.enum(['whatsapp', 'imessage', 'telegram', 'signal']),
+            platform: platformSchema(),
             chat_id: z.string()
           })).describe('Array of targets to send to'),
           message: z.string().describe('The message to broadcast')